@@ -0,0 +1,445 @@
+/**
+ * Reddit User Vibe — Site Adapters
+ * Per-surface rules for finding author elements on the page and deciding
+ * where their badge rows go, on www, old and sh.reddit.com, including authors
+ * held in shreddit web-component attributes, inside open shadow roots, and
+ * u/ mentions in comment and post bodies.
+ * Depends on: config.js, ui.js (RUV._getBadgeInsertPoint, the fallback insertion point)
+ */
+
+/**
+ * A way of recognising authors on one kind of Reddit markup.
+ *
+ * @typedef {object} RUVSiteAdapter
+ * @property {string} name
+ * @property {Array<'www'|'old'|'sh'>} hosts - Reddit sites the adapter runs on.
+ * @property {string} selector - Elements the adapter inspects.
+ * @property {string} [setting] - Boolean setting that must be on for the adapter to run.
+ * @property {function(Element, ?function(Element): boolean): (RUVAuthor|Array<RUVAuthor>|null)} resolve -
+ *           Returns the author node for a matching element (the element the badge row belongs
+ *           to, and whose visibility is watched) and the username, a list of them for elements
+ *           that hold several, or null if the element shows no author. The second argument is
+ *           the `claimMention` hook of RUV.findAuthorNodes.
+ * @property {function(Element): ({mode: 'append'|'after', target: Element}|null)} [insertPoint] -
+ *           Where an author node's badge row goes, or null to leave it to the next adapter.
+ */
+
+/**
+ * @typedef {object} RUVAuthor
+ * @property {Element} node
+ * @property {string}  username
+ */
+
+/**
+ * Regex that matches a user-profile URL on www, old or sh.reddit.com with no
+ * extra path segments or query/hash parameters after the username.
+ * Capture group 1: "www", "old" or "sh".
+ * Capture group 2: the Reddit username.
+ *
+ * Valid:   https://www.reddit.com/user/alice/
+ * Valid:   https://old.reddit.com/user/bob
+ * Invalid: https://www.reddit.com/user/alice/posts
+ * Invalid: https://www.reddit.com/user/alice?sort=new
+ */
+RUV.USER_HREF_RE = new RegExp(String.raw`^https?://(www|old|sh)\.reddit\.com/user/(${RUV.USERNAME_PATTERN})/?$`);
+
+/**
+ * Regex that matches a "u/name" mention in text, not preceded by a word
+ * character or slash (so URLs and "foo/u/bar" are skipped).
+ * Capture group 1: the username.
+ */
+RUV.MENTION_RE = new RegExp(String.raw`(?<![\w/])/?u/(${RUV.USERNAME_PATTERN})\b`, 'g');
+
+/**
+ * Regex that matches the profile link of a linked mention, in either the
+ * /user/ or the short /u/ form. Capture group 2: the username.
+ */
+RUV.MENTION_HREF_RE = new RegExp(String.raw`^https?://(www|old|sh)\.reddit\.com/u(?:ser)?/(${RUV.USERNAME_PATTERN})/?$`);
+
+/** @type {string} Rendered comment and post bodies, on every layout, searched for mentions. */
+RUV.MENTION_SCOPE_SELECTOR = '.usertext-body .md, [slot="comment"], [slot="text-body"], .RichTextJSON-root';
+
+/**
+ * Lower-cased placeholder and system account names. Their activity says
+ * nothing about a person, so they are never looked up or badged.
+ * @type {Set<string>}
+ */
+RUV.SYSTEM_ACCOUNTS = new Set(['[deleted]', '[removed]', 'automoderator', 'reddit', 'redditcareresources']);
+
+/**
+ * Returns true for placeholder and system accounts: those in
+ * RUV.SYSTEM_ACCOUNTS and subreddits' "-ModTeam" removal accounts.
+ *
+ * @param {string} username
+ * @returns {boolean}
+ */
+RUV.isSystemAccount = (username) => {
+    const name = username.toLowerCase();
+    return RUV.SYSTEM_ACCOUNTS.has(name) || name.endsWith('-modteam');
+};
+
+/**
+ * Returns which Reddit site a hostname belongs to.
+ *
+ * @param {string} [hostname=location.hostname]
+ * @returns {'www'|'old'|'sh'}
+ */
+RUV.siteHost = (hostname = location.hostname) => {
+    if (hostname.startsWith('old.')) { return 'old'; }
+    return hostname.startsWith('sh.') ? 'sh' : 'www';
+};
+
+/**
+ * Returns the nearest ancestor of el (or el itself) matching selector,
+ * continuing through the hosts of any shadow roots on the way up.
+ *
+ * @param {Element} el
+ * @param {string}  selector
+ * @returns {Element|null}
+ */
+RUV.closestComposed = (el, selector) => {
+    let node = el;
+    while (node) {
+        const match = node.closest(selector);
+        if (match) { return match; }
+        node = node.getRootNode().host || null;
+    }
+    return null;
+};
+
+/**
+ * Returns the text of an element, including that of its open shadow root.
+ *
+ * @param {Element} el
+ * @returns {string}
+ */
+RUV._composedText = (el) => {
+    return `${el.innerText || el.textContent || ''} ${el.shadowRoot?.textContent || ''}`.trim();
+};
+
+/**
+ * Extracts the username from a profile link. Two conditions must both hold:
+ *   1. `node.href` must match a bare /user/<name> URL (no extra segments or params).
+ *   2. The node's visible text must contain the extracted username.
+ *
+ * @param {Element} node
+ * @returns {string|null}  Username, or null if the node doesn't qualify.
+ */
+RUV._usernameFromLink = (node) => {
+    const m = (node.href || '').match(RUV.USER_HREF_RE);
+    if (!m) { return null; }
+    const username = m[2];
+    if (!RUV._composedText(node).toLowerCase().includes(username.toLowerCase())) { return null; }
+    return username;
+};
+
+/**
+ * Finds the element showing a shreddit post's or comment's own author: a link
+ * to their profile or the authorName slot, in its light DOM or open shadow
+ * root, skipping anything that belongs to a nested reply.
+ *
+ * @param {Element} thing     A shreddit-post or shreddit-comment.
+ * @param {string}  username
+ * @returns {Element|null}
+ */
+RUV._findOwnAuthorNode = (thing, username) => {
+    const name = username.toLowerCase();
+    for (const scope of [thing, thing.shadowRoot]) {
+        if (!scope) { continue; }
+        const candidates = scope.querySelectorAll('a[href*="/user/"], [slot="authorName"]');
+        const node = Array.from(candidates).find((el) =>
+            [thing, null].includes(el.closest('shreddit-post, shreddit-comment'))
+            && RUV._composedText(el).toLowerCase().includes(name));
+        if (node) { return node; }
+    }
+    return null;
+};
+
+/** @type {WeakSet<Element>} Author nodes found as u/ mentions, see RUV.isMention. */
+RUV._mentionNodes = new WeakSet();
+
+/**
+ * Text nodes split by RUV._wrapMentions and the nodes that replaced them,
+ * so RUV.unwrapMentions can put the originals back.
+ * @type {Array<{ text: Text, parts: Array<Node> }>}
+ */
+RUV._wrappedTexts = [];
+
+/** @type {number} Length of RUV._wrappedTexts at which records for removed comments are next dropped. */
+RUV._wrappedPruneAt = 64;
+
+/**
+ * Wraps each unlinked "u/name" mention in a text node in a span of its own,
+ * so a badge row can be placed after it. System accounts are left as text,
+ * and so is every mention from the first one claim refuses.
+ *
+ * @param {Text} text
+ * @param {function(HTMLSpanElement): boolean} claim  Whether a new span may be kept.
+ * @returns {Array<HTMLSpanElement>}  The new spans.
+ */
+RUV._wrapMentions = (text, claim) => {
+    const value = text.nodeValue;
+    const spans = [];
+    const parts = [];
+    let last = 0;
+    for (const m of value.matchAll(RUV.MENTION_RE)) {
+        if (RUV.isSystemAccount(m[1])) { continue; }
+        const span = document.createElement('span');
+        span.className = 'ruv-mention';
+        span.textContent = m[0];
+        if (!claim(span)) { break; }
+        parts.push(value.slice(last, m.index), span);
+        spans.push(span);
+        last = m.index + m[0].length;
+    }
+    if (spans.length === 0) { return spans; }
+    parts.push(value.slice(last));
+    const nodes = parts
+        .filter((part) => part !== '')
+        .map((part) => (typeof part === 'string' ? document.createTextNode(part) : part));
+    text.replaceWith(...nodes);
+
+    RUV._wrappedTexts.push({ text, parts: nodes });
+    if (RUV._wrappedTexts.length >= RUV._wrappedPruneAt) {
+        // A wrapped text node split again later is disconnected, but its spans are not.
+        RUV._wrappedTexts = RUV._wrappedTexts.filter((w) => w.parts.some((part) => part.isConnected));
+        RUV._wrappedPruneAt = Math.max(64, RUV._wrappedTexts.length * 2);
+    }
+    return spans;
+};
+
+/**
+ * Undoes RUV._findMentions: puts back the text nodes that were split into
+ * mention spans and forgets which nodes were mentions, so the profile links
+ * among them count as ordinary author links again.
+ *
+ * @returns {void}
+ */
+RUV.unwrapMentions = () => {
+    // Newest first, so text nodes split again by a later scan are back in place
+    // by the time the record of their first split is undone.
+    for (const { text, parts } of RUV._wrappedTexts.slice().reverse()) {
+        // Skipped if the page has since removed or re-rendered the text.
+        if (!parts.every((part) => part.isConnected)) { continue; }
+        parts[0].replaceWith(text);
+        for (const part of parts.slice(1)) { part.remove(); }
+    }
+    RUV._wrappedTexts = [];
+    RUV._wrappedPruneAt = 64;
+    RUV._mentionNodes = new WeakSet();
+};
+
+/**
+ * Finds the u/ mentions in a comment or post body: links to a profile whose
+ * text is the mention, and plain-text mentions, which are wrapped in spans
+ * while claimMention accepts them. Code blocks, other links and the
+ * extension's own rows are left alone.
+ *
+ * @param {Element} body
+ * @param {?function(Element): boolean} [claimMention]  See RUV.findAuthorNodes.
+ * @returns {Array<RUVAuthor>}
+ */
+RUV._findMentions = (body, claimMention = null) => {
+    const found = [];
+    const add = (node, username) => {
+        RUV._mentionNodes.add(node);
+        found.push({ node, username });
+    };
+    const mentionName = (el) => el.textContent.trim().replace(/^\/?u\//i, '');
+
+    for (const link of body.querySelectorAll('a[href]')) {
+        const m = (link.href || '').match(RUV.MENTION_HREF_RE);
+        if (m && mentionName(link).toLowerCase() === m[2].toLowerCase()) { add(link, m[2]); }
+    }
+    // Wrapped by an earlier scan
+    for (const span of body.querySelectorAll('.ruv-mention')) { add(span, mentionName(span)); }
+
+    const walker = document.createTreeWalker(body, NodeFilter.SHOW_TEXT, {
+        acceptNode: (text) => (text.nodeValue.search(RUV.MENTION_RE) !== -1
+            && !text.parentElement.closest('a, code, pre, .ruv-mention, .ruv-badge-row')
+            ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT),
+    });
+    const texts = [];
+    while (walker.nextNode()) { texts.push(walker.currentNode); }
+    let full = false;
+    const claim = (span) => {
+        full = full || (!!claimMention && !claimMention(span));
+        return !full;
+    };
+    for (const text of texts) {
+        if (full) { break; }
+        for (const span of RUV._wrapMentions(text, claim)) { add(span, mentionName(span)); }
+    }
+    return found;
+};
+
+/** @type {Array<RUVSiteAdapter>} Adapters in order of precedence. */
+RUV.SITE_ADAPTERS = [
+    {
+        // New Reddit's post and comment components carry the author as an
+        // attribute, which stays right when the visible link text does not.
+        name: 'shreddit-thing',
+        hosts: ['www', 'sh'],
+        selector: 'shreddit-post[author], shreddit-comment[author]',
+        resolve: (el) => {
+            const username = el.getAttribute('author');
+            if (!username) { return null; }
+            const node = RUV._findOwnAuthorNode(el, username);
+            return node ? { node, username } : null;
+        },
+    },
+    {
+        // The hover card wraps the author link; a row placed inside it would
+        // open the card whenever the badges are hovered, so it goes after.
+        name: 'hovercard',
+        hosts: ['www', 'sh'],
+        selector: 'faceplate-hovercard',
+        resolve: (el) => {
+            for (const scope of [el, el.shadowRoot]) {
+                for (const link of scope?.querySelectorAll('a[href*="/user/"]') || []) {
+                    const username = RUV._usernameFromLink(link);
+                    if (username) { return { node: link, username }; }
+                }
+            }
+            return null;
+        },
+        insertPoint: (node) => {
+            const card = RUV.closestComposed(node, 'faceplate-hovercard');
+            return card ? { mode: 'after', target: card } : null;
+        },
+    },
+    {
+        // u/ mentions in comment and post bodies, linked or not. Opt-in, as
+        // plain-text mentions are wrapped in spans of the extension's own.
+        name: 'mention',
+        hosts: ['www', 'old', 'sh'],
+        selector: RUV.MENTION_SCOPE_SELECTOR,
+        setting: 'annotateMentions',
+        resolve: (el, claimMention) => RUV._findMentions(el, claimMention),
+    },
+    {
+        // Plain profile links: old Reddit, the older redesign and anything else.
+        name: 'user-link',
+        hosts: ['www', 'old', 'sh'],
+        selector: 'a[href*="/user/"]',
+        resolve: (el) => {
+            const username = RUV._usernameFromLink(el);
+            return username ? { node: el, username } : null;
+        },
+    },
+];
+
+/**
+ * Usernames of the author nodes found so far, as of the latest scan that
+ * found each. Within a scan, the first adapter to find a node keeps it.
+ * @type {WeakMap<Element, string>}
+ */
+RUV._authorNodes = new WeakMap();
+
+/**
+ * Returns the adapters that run on the current site with the given settings.
+ *
+ * @param {RUVSettings} [settings]  Omit to include every adapter for the site.
+ * @returns {Array<RUVSiteAdapter>}
+ */
+RUV._activeAdapters = (settings = null) => {
+    const host = RUV.siteHost();
+    return RUV.SITE_ADAPTERS.filter((adapter) => adapter.hosts.includes(host)
+        && (!adapter.setting || !settings || settings[adapter.setting]));
+};
+
+/**
+ * Elements whose open shadow roots are searched for authors: the shreddit
+ * and faceplate components that render them. A targeted selector, so that a
+ * scan does not visit every element of a long comment page.
+ * @type {string}
+ */
+RUV.SHADOW_HOST_SELECTOR = 'shreddit-post, shreddit-comment, faceplate-hovercard';
+
+/**
+ * Calls fn with root and with the open shadow roots of the RUV.SHADOW_HOST_SELECTOR
+ * hosts inside it (and of root itself), however deeply nested.
+ *
+ * @param {Document|Element|ShadowRoot} root
+ * @param {function(Document|Element|ShadowRoot): void} fn
+ * @returns {void}
+ */
+RUV._forEachScope = (root, fn) => {
+    fn(root);
+    const hosts = Array.from(root.querySelectorAll(RUV.SHADOW_HOST_SELECTOR)).filter((el) => el.shadowRoot);
+    if (root.shadowRoot) { hosts.unshift(root); }
+    for (const host of hosts) { RUV._forEachScope(host.shadowRoot, fn); }
+};
+
+/**
+ * Finds the author nodes within root (root included), through every adapter
+ * for the current site and into open shadow roots. System accounts are
+ * skipped.
+ *
+ * @param {Document|Element} root
+ * @param {RUVSettings} settings  Decides which optional adapters run.
+ * @param {function(ShadowRoot): void} [onShadowRoot]  Called for each shadow root
+ *        searched, e.g. to watch it for authors added later.
+ * @param {function(Element): boolean} [claimMention]  Called with each plain-text mention
+ *        before its span goes into the page; returning false leaves it and the rest as
+ *        text. Omit to wrap them all.
+ * @returns {Array<Element>}  Each node once, in no particular order.
+ */
+RUV.findAuthorNodes = (root, settings, onShadowRoot = null, claimMention = null) => {
+    const adapters = RUV._activeAdapters(settings);
+    const found = new Set();
+    RUV._forEachScope(root, (scope) => {
+        if (scope instanceof ShadowRoot) { onShadowRoot?.(scope); }
+        for (const adapter of adapters) {
+            const candidates = Array.from(scope.querySelectorAll(adapter.selector));
+            if (scope.matches?.(adapter.selector)) { candidates.unshift(scope); }
+            for (const el of candidates) {
+                for (const author of [].concat(adapter.resolve(el, claimMention) || [])) {
+                    // The first adapter to claim a node wins within a scan; a later
+                    // scan overwrites it, as the page may reuse the node for someone else.
+                    if (RUV.isSystemAccount(author.username) || found.has(author.node)) { continue; }
+                    RUV._authorNodes.set(author.node, author.username);
+                    found.add(author.node);
+                }
+            }
+        }
+    });
+    return Array.from(found);
+};
+
+/**
+ * Returns true if an author node is a u/ mention in a comment or post body
+ * rather than the author of one.
+ *
+ * @param {Element} node
+ * @returns {boolean}
+ */
+RUV.isMention = (node) => {
+    return RUV._mentionNodes.has(node);
+};
+
+/**
+ * Returns the username of an author node found by RUV.findAuthorNodes, or
+ * null for any other element.
+ *
+ * @param {Element} node
+ * @returns {string|null}
+ */
+RUV.getAuthor = (node) => {
+    return RUV._authorNodes.get(node) || null;
+};
+
+/**
+ * Returns where an author node's badge row goes: the first answer from an
+ * adapter for the current site, else RUV._getBadgeInsertPoint.
+ *
+ * @param {Element} node
+ * @returns {{ mode: 'append', target: Element }|{ mode: 'after', target: Element }}
+ */
+RUV.getInsertPoint = (node) => {
+    for (const adapter of RUV._activeAdapters()) {
+        const point = adapter.insertPoint?.(node);
+        if (point) { return point; }
+    }
+    return RUV._getBadgeInsertPoint(node);
+};
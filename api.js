@@ -1,8 +1,10 @@
 /**
  * Reddit User Vibe — API & Rate-Limit Module
- * Fetches top subreddits for a user from the Arctic Shift API, with rate-limit
- * handling identical to the browser's Reddit API (same response headers).
- * Depends on: config.js, storage.js
+ * Fetches top subreddits for a user from the active data provider, with
+ * rate-limit handling driven by the provider's parsed response headers.
+ * Runs only in the background worker, so the rate-limit state and in-flight
+ * map below are shared by every tab; pages reach it through client.js.
+ * Depends on: config.js, storage.js, providers.js
  */
 
 /** @type {number} Epoch ms until which all fetches should pause. */
@@ -29,19 +31,6 @@ RUV._makeSignal = () => {
 /** @type {Signal} Replaced each time clearRateLimit is called. */
 RUV._rateLimitClearSignal = RUV._makeSignal();
 
-/**
- * Parses the x-ratelimit-* headers from an API response.
- *
- * @param {Headers} headers
- * @returns {{ remaining: number, reset: number }}  reset is seconds from now.
- */
-RUV._parseRateLimit = (headers) => {
-    return {
-        remaining: parseFloat(headers.get('x-ratelimit-remaining') ?? '99'),
-        reset: parseInt(headers.get('x-ratelimit-reset') ?? '0', 10),
-    };
-};
-
 /**
  * Suspends execution until the rate-limit pause window has elapsed.
  * Re-checks after every wake in case rateLimitPauseUntil was extended.
@@ -73,36 +62,16 @@ RUV.clearRateLimit = () => {
 };
 
 /**
- * Returns a human-readable description of the current rate-limit state,
- * used as a tooltip on the loading placeholder badge.
- *
- * @returns {string}
- */
-RUV.rateLimitTip = () => {
-    const pauseMs = RUV._rateLimitPauseUntil - Date.now();
-    return pauseMs > 0
-        ? `Rate limited — data available at ${new Date(RUV._rateLimitPauseUntil).toLocaleTimeString()} (click to retry now)`
-        : 'Loading…';
-};
-
-/**
- * Fetches the top subreddits for a user from the Arctic Shift API.
- * Returns null on network error or non-OK HTTP status so callers can skip
- * caching and retry.
+ * Requests a URL and returns its parsed JSON body, applying the rate-limit
+ * headers of the response. Returns null on network error, non-OK HTTP status
+ * or an unparsable body so callers can skip caching and retry.
  *
- * @param {string}      username  Reddit username.
- * @param {number}      limit     Maximum number of subreddits to return.
- * @param {string}      after     Relative time window (e.g. "3month"). Pass ""
- *                                to omit the parameter and query all time.
- * @returns {Promise<Array<{subreddit:string,count:number}>|null>}
+ * @param {string} url
+ * @returns {Promise<any|null>}
  */
-RUV.fetchUserSubreddits = async (username, limit, after) => {
+RUV._fetchJson = async (url) => {
     await RUV._waitIfRateLimited();
 
-    const params = new URLSearchParams({ author: username, limit: String(limit) });
-    if (after) { params.set('after', after); }
-    const url = `${RUV.API_BASE}?${params}`;
-
     let res;
     try {
         res = await fetch(url);
@@ -113,7 +82,7 @@ RUV.fetchUserSubreddits = async (username, limit, after) => {
 
     console.log(`[RUV] GET ${url} → ${res.status}`);
 
-    const { remaining, reset } = RUV._parseRateLimit(res.headers);
+    const { remaining, reset } = RUV._source.provider.parseRateLimit(res.headers);
 
     if (remaining < 2) {
         RUV._rateLimitPauseUntil = Date.now() + reset * 1000;
@@ -128,54 +97,383 @@ RUV.fetchUserSubreddits = async (username, limit, after) => {
 
     if (!res.ok) { return null; }
 
-    let json;
-    try { json = await res.json(); } catch { return null; }
+    try { return await res.json(); } catch { return null; }
+};
+
+/**
+ * Returns the context passed to every query of the active provider.
+ *
+ * @returns {RUVProviderContext}
+ */
+RUV._providerContext = () => ({ baseUrl: RUV._source.baseUrl, fetchJson: RUV._fetchJson });
+
+/**
+ * Fetches the top subreddits for a user from the active provider, with
+ * separate post and comment counts. Posts and comments are queried in
+ * parallel, RUV.KIND_FETCH_LIMIT subreddits each, so every call costs two
+ * requests; the merged list is sorted by combined count and then cut to `limit`.
+ * Returns null if either request fails so callers can skip caching and retry.
+ *
+ * @param {string}      username  Reddit username.
+ * @param {number}      limit     Maximum number of subreddits to return.
+ * @param {string}      after     Relative time window (e.g. "3month"). Pass ""
+ *                                to omit the parameter and query all time.
+ * @returns {Promise<Array<RUVSubActivity>|null>}
+ */
+RUV.fetchUserSubreddits = async (username, limit, after) => {
+    const { provider } = RUV._source;
+    const ctx = RUV._providerContext();
+    const [posts, comments] = await Promise.all([
+        provider.subredditTotals(ctx, 'posts', username, RUV.KIND_FETCH_LIMIT, after),
+        provider.subredditTotals(ctx, 'comments', username, RUV.KIND_FETCH_LIMIT, after),
+    ]);
+    if (!posts || !comments) { return null; }
+
+    /** @type {Map<string, RUVSubActivity>} */
+    const bySub = new Map();
+    const add = (rows, field) => {
+        for (const { subreddit, count } of rows) {
+            const item = bySub.get(subreddit) || { subreddit, count: 0, posts: 0, comments: 0 };
+            item[field] += count;
+            item.count += count;
+            bySub.set(subreddit, item);
+        }
+    };
+    add(posts, 'posts');
+    add(comments, 'comments');
+
+    return Array.from(bySub.values())
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit);
+};
+
+/** @type {number} Epoch ms until which account lookups are skipped, after Reddit rate-limited one. */
+RUV._accountLookupPauseUntil = 0;
+
+/**
+ * Finds out why a user has no activity: whether the account is deleted (or
+ * never existed), suspended, or active but quiet. The active provider answers
+ * if it can. Archives keep no account state, so otherwise Reddit's public
+ * profile endpoint is asked, but only with `checkAccountStatus` on, as that
+ * sends the username to a second host. The lookup runs inside the user's
+ * queued job, after any shared rate-limit pause; a 429 from Reddit skips
+ * further lookups until its reset time.
+ *
+ * @param {string}      username
+ * @param {RUVSettings} settings
+ * @returns {Promise<'active'|'deleted'|'suspended'|null>}  Null if it could not be told.
+ */
+RUV.fetchAccountStatus = async (username, settings) => {
+    const { provider } = RUV._source;
+    if (provider.accountStatus) { return provider.accountStatus(RUV._providerContext(), username); }
+    if (!settings.checkAccountStatus || Date.now() < RUV._accountLookupPauseUntil) { return null; }
+
+    await RUV._waitIfRateLimited();
+    let res;
+    try {
+        res = await fetch(`https://www.reddit.com/user/${encodeURIComponent(username)}/about.json`);
+    } catch (err) {
+        console.warn('[RUV] Network error:', err);
+        return null;
+    }
+    console.debug(`[RUV] Account lookup → ${res.status}`);
+    if (res.status === 404) { return 'deleted'; }
+    if (res.status === 429) {
+        const reset = parseInt(res.headers.get('x-ratelimit-reset') ?? '', 10) || 60;
+        RUV._accountLookupPauseUntil = Date.now() + reset * 1000;
+        return null;
+    }
+    if (!res.ok) { return null; }
+    try {
+        const json = await res.json();
+        return json?.data?.is_suspended ? 'suspended' : 'active';
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Returns the keys ("2026-03") of the last RUV.TIMELINE_MONTHS calendar
+ * months in UTC, oldest first, ending with the current month.
+ *
+ * @param {number} [now=Date.now()]
+ * @returns {Array<string>}
+ */
+RUV.timelineMonths = (now = Date.now()) => {
+    const d = new Date(now);
+    const months = [];
+    for (let i = RUV.TIMELINE_MONTHS - 1; i >= 0; i--) {
+        const m = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - i, 1));
+        months.push(m.toISOString().slice(0, 7));
+    }
+    return months;
+};
+
+/**
+ * Fetches a user's monthly activity in one subreddit from the active
+ * provider, one query per kind of content.
+ *
+ * @param {string}        username
+ * @param {string}        subreddit
+ * @param {Array<string>} months  Month keys from {@link RUV.timelineMonths}.
+ * @returns {Promise<Array<number>|null>}  Posts plus comments per month, or null on failure.
+ */
+RUV.fetchSubredditTimeline = async (username, subreddit, months) => {
+    const { provider } = RUV._source;
+    const ctx = RUV._providerContext();
+    const since = `${months[0]}-01`;
+    const [posts, comments] = await Promise.all([
+        provider.monthlyCounts(ctx, 'posts', username, subreddit, since),
+        provider.monthlyCounts(ctx, 'comments', username, subreddit, since),
+    ]);
+    if (!posts || !comments) { return null; }
 
-    // Response shape: { data: [{ subreddit: string, count: number }] }
-    const data = json?.data;
-    if (!Array.isArray(data)) { return null; }
-    return data; // already sorted by count descending
+    const counts = months.map(() => 0);
+    for (const { time, count } of posts.concat(comments)) {
+        const i = months.indexOf(new Date(time).toISOString().slice(0, 7));
+        if (i !== -1) { counts[i] += count; }
+    }
+    return counts;
 };
 
 /**
- * Map of username → in-flight Promise so concurrent calls for the same user
- * share one network request instead of racing.
- * @type {Map<string, Promise<Array<{subreddit:string,count:number}>|null>>}
+ * Map of job key → Promise for every queued or running fetch job, so
+ * concurrent callers for the same username share one network request
+ * instead of racing.
+ * @type {Map<string, Promise<any>>}
  */
 RUV._inFlight = new Map();
 
 /**
- * Returns cached or freshly-fetched subreddit data for a user.
+ * A fetch waiting in the priority queue.
+ *
+ * @typedef {object} FetchJob
+ * @property {string}                   key      Job key (the username).
+ * @property {function(): Promise<any>} task     Performs the fetch.
+ * @property {Map<string, number>}      waiters  Owner → priority; lower runs sooner.
+ * @property {function(any): void}      resolve  Settles the shared job promise.
+ */
+
+/** @type {Array<FetchJob>} Jobs waiting for a free fetch slot. */
+RUV._queue = [];
+
+/** @type {number} Number of jobs currently running. */
+RUV._activeJobs = 0;
+
+/** @type {number} Maximum number of jobs allowed to run at once. */
+RUV._maxConcurrent = RUV.DEFAULTS.maxConcurrentFetches;
+
+/**
+ * Updates the concurrency cap and starts queued jobs if it was raised.
+ *
+ * @param {number} max
+ * @returns {void}
+ */
+RUV.setMaxConcurrent = (max) => {
+    RUV._maxConcurrent = Math.max(1, max || 1);
+    RUV._pumpQueue();
+};
+
+/**
+ * Returns a job's effective priority: the most urgent of its waiters.
+ *
+ * @param {FetchJob} job
+ * @returns {number}
+ */
+RUV._jobPriority = (job) => Math.min(...job.waiters.values());
+
+/**
+ * Starts queued jobs, most urgent first, until the concurrency cap is reached.
+ *
+ * @returns {void}
+ */
+RUV._pumpQueue = () => {
+    while (RUV._activeJobs < RUV._maxConcurrent && RUV._queue.length > 0) {
+        let best = 0;
+        for (let i = 1; i < RUV._queue.length; i++) {
+            if (RUV._jobPriority(RUV._queue[i]) < RUV._jobPriority(RUV._queue[best])) { best = i; }
+        }
+        const [job] = RUV._queue.splice(best, 1);
+        RUV._activeJobs++;
+        job.task()
+            .catch((err) => {
+                console.warn(`[RUV] Job "${job.key}" failed:`, err);
+                return null;
+            })
+            .then((result) => {
+                RUV._activeJobs--;
+                job.resolve(result);
+                RUV._pumpQueue();
+            });
+    }
+};
+
+/**
+ * Queues a task under key on behalf of owner (a tab or page), or joins the
+ * queued or running job already using that key.
+ * Resolves with the task's result, or RUV.CANCELLED if every waiter cancelled
+ * before the task started.
+ *
+ * @param {string}                   key
+ * @param {function(): Promise<any>} task
+ * @param {string}                   owner     Identifies the requesting page.
+ * @param {number}                   priority  Lower runs sooner.
+ * @returns {Promise<any>}
+ */
+RUV.schedule = (key, task, owner, priority) => {
+    const existing = RUV._inFlight.get(key);
+    if (existing) {
+        RUV.reprioritize(key, owner, priority);
+        return existing;
+    }
+
+    let resolve;
+    const promise = new Promise((r) => { resolve = r; });
+    RUV._inFlight.set(key, promise);
+    promise.then(() => RUV._inFlight.delete(key));
+
+    RUV._queue.push({ key, task, waiters: new Map([[owner, priority]]), resolve });
+    RUV._pumpQueue();
+    return promise;
+};
+
+/**
+ * Sets owner's priority for a queued job, adding owner as a waiter if it is
+ * not one yet. No-op once the job has started.
+ *
+ * @param {string} key
+ * @param {string} owner
+ * @param {number} priority
+ * @returns {void}
+ */
+RUV.reprioritize = (key, owner, priority) => {
+    const job = RUV._queue.find((j) => j.key === key);
+    if (job) { job.waiters.set(owner, priority); }
+};
+
+/**
+ * Withdraws owner's interest in a queued job. A job nobody waits for any more
+ * is dropped from the queue and resolves with RUV.CANCELLED. Running jobs are
+ * left to finish so their result still reaches the cache.
+ *
+ * @param {string} key
+ * @param {string} owner
+ * @returns {void}
+ */
+RUV.cancelScheduled = (key, owner) => {
+    const index = RUV._queue.findIndex((j) => j.key === key);
+    if (index === -1) { return; }
+    const job = RUV._queue[index];
+    job.waiters.delete(owner);
+    if (job.waiters.size === 0) {
+        RUV._queue.splice(index, 1);
+        job.resolve(RUV.CANCELLED);
+    }
+};
+
+/**
+ * Withdraws owner's interest in every queued job, e.g. when its tab closes.
  *
- * Cache hits are served immediately without a network request.
- * On a miss, a single fetch is launched; concurrent callers for the same
- * username join that promise instead of starting duplicate requests.
- * Results that are null (fetch failed) are never cached so the next call
- * will attempt a fresh fetch.
+ * @param {string} owner
+ * @returns {void}
+ */
+RUV.cancelOwner = (owner) => {
+    for (const job of RUV._queue.slice()) { RUV.cancelScheduled(job.key, owner); }
+};
+
+/**
+ * Fetches fresh subreddit data for a user, bypassing the cache, and stores
+ * the result. In trend mode the recent window is fetched in the same job and
+ * cached in the same entry. The fetch goes through the priority queue;
+ * concurrent callers for the same username join the queued or running job
+ * instead of starting duplicate requests.
+ * Users with no activity get their account state looked up in the same job
+ * (see {@link RUV.fetchAccountStatus}); when that is off or fails they are
+ * cached as plainly empty. Results that are null (any fetch failed) are never cached.
  *
  * @param {string}      username  Reddit username.
  * @param {RUVSettings} settings  Current extension settings.
- * @returns {Promise<Array<{subreddit:string,count:number}>|null>}
+ * @param {string}      [owner='background']  Requesting page, for cancellation.
+ * @param {number}      [priority=0]          Lower runs sooner.
+ * @returns {Promise<RUVCacheEntry|null|typeof RUV.CANCELLED>}
  */
-RUV.getUserData = async (username, settings) => {
+RUV.refreshUserData = (username, settings, owner = 'background', priority = 0) => {
+    return RUV.schedule(username, async () => {
+        const limit = RUV.getFetchLimit(settings);
+        const trendWindow = RUV.getTrendWindow(settings);
+        const [data, recent] = await Promise.all([
+            RUV.fetchUserSubreddits(username, limit, settings.after),
+            trendWindow ? RUV.fetchUserSubreddits(username, limit, trendWindow) : [],
+        ]);
+        if (data === null || recent === null) { return null; }
+        let status = null;
+        if (data.length === 0) {
+            const account = await RUV.fetchAccountStatus(username, settings);
+            status = account === 'deleted' || account === 'suspended' ? account : 'empty';
+        }
+        return RUV.setCachedUser(username, data, trendWindow ? { window: trendWindow, data: recent } : null, status);
+    }, owner, priority);
+};
+
+/**
+ * Returns the cached or freshly-fetched cache entry for a user.
+ *
+ * Cache hits are served immediately without a network request; misses go
+ * through {@link RUV.refreshUserData}, so the next call after a failed fetch
+ * will attempt a fresh fetch. In trend mode an entry without data for the
+ * current trend window counts as a miss. With `serveStale`, an expired entry
+ * no older than RUV.getMaxShownAgeMs is returned as it is while a refetch is
+ * queued; the refetch belongs to no page, so it completes even if the
+ * requester goes away, and its result reaches pages as a storage change.
+ *
+ * @param {string}      username  Reddit username.
+ * @param {RUVSettings} settings  Current extension settings.
+ * @param {string}      [owner]     Requesting page, for cancellation.
+ * @param {number}      [priority]  Lower runs sooner.
+ * @returns {Promise<RUVCacheEntry|null|typeof RUV.CANCELLED>}
+ */
+RUV.getUserData = async (username, settings, owner, priority) => {
     const cacheDurationMs = settings.cacheDays * 24 * 60 * 60 * 1000;
-    const cached = await RUV.getCachedUser(username, cacheDurationMs);
-    if (cached !== null) { return cached; }
+    const cached = await RUV.getCachedUser(username, cacheDurationMs, RUV.getMaxShownAgeMs(settings));
+    if (cached !== null && RUV.isStaleEntry(cached, cacheDurationMs)) {
+        RUV.refreshUserData(username, settings, 'background', priority);
+        return cached;
+    }
+    const trendWindow = RUV.getTrendWindow(settings);
+    if (cached !== null && (!trendWindow || cached.recent?.window === trendWindow)) { return cached; }
+    return RUV.refreshUserData(username, settings, owner, priority);
+};
 
-    if (RUV._inFlight.has(username)) { return RUV._inFlight.get(username); }
+/**
+ * Returns the monthly timeline of a user's activity in the given subreddits,
+ * from the timeline cache or by fetching the series it lacks. Series are
+ * fetched one subreddit at a time inside a single queued job, so expanding
+ * a row costs one scheduler slot.
+ *
+ * @param {string}        username
+ * @param {Array<string>} subreddits  At most RUV.TIMELINE_MAX_SUBS are used.
+ * @param {RUVSettings}   settings
+ * @param {string}        [owner='background']
+ * @returns {Promise<RUVTimelineEntry|null|typeof RUV.CANCELLED>}
+ */
+RUV.getUserTimeline = async (username, subreddits, settings, owner = 'background') => {
+    const wanted = subreddits.slice(0, RUV.TIMELINE_MAX_SUBS);
+    const months = RUV.timelineMonths();
+    const cacheDurationMs = settings.cacheDays * 24 * 60 * 60 * 1000;
+    const cached = await RUV.getCachedTimeline(username, cacheDurationMs, months);
+    const missing = wanted.filter((sub) => !cached?.subs[sub]);
+    if (cached && missing.length === 0) { return cached; }
 
-    const promise = (async () => {
-        const data = await RUV.fetchUserSubreddits(username, settings.limit, settings.after);
-        if (data !== null) {
-            await RUV.setCachedUser(username, data);
+    return RUV.schedule(`timeline:${username}`, async () => {
+        const entry = cached || { v: RUV.CACHE_VERSION, fetchedAt: Date.now(), months, subs: {} };
+        let failed = false;
+        for (const sub of missing) {
+            const counts = await RUV.fetchSubredditTimeline(username, sub, months);
+            if (counts === null) { failed = true; break; }
+            entry.subs[sub] = counts;
         }
-        return data;
-    })();
-
-    RUV._inFlight.set(username, promise);
-    try {
-        return await promise;
-    } finally {
-        RUV._inFlight.delete(username);
-    }
+        // Keep the series that did arrive so a retry only fetches the rest.
+        await RUV.setCachedTimeline(username, entry);
+        return failed ? null : entry;
+    }, owner, 0);
 };
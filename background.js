@@ -0,0 +1,125 @@
+/**
+ * Reddit User Vibe — Background Fetch Worker
+ * Owns every API call so that all open Reddit tabs share one rate-limit state
+ * and one in-flight map: five tabs asking for the same user cost one request,
+ * and a 429 in one tab pauses all of them. Also runs cache maintenance.
+ * Runs as the service worker on Chrome (MV3) and as the background page on
+ * Firefox (MV2), where the manifest loads the dependencies instead.
+ * Depends on: config.js, storage.js, providers.js, api.js
+ */
+
+if (typeof importScripts === 'function') {
+    importScripts('config.js', 'storage.js', 'providers.js', 'api.js');
+}
+
+/**
+ * Live settings kept up-to-date via chrome.storage.onChanged.
+ * @type {RUVSettings}
+ */
+let settings = Object.assign({}, RUV.DEFAULTS);
+
+/**
+ * Resolves once the stored settings have been loaded and cache entries from
+ * an older layout migrated, so no request sees a half-migrated cache.
+ * @type {Promise<void>}
+ */
+const ready = Promise.all([
+    RUV.getSettings().then((s) => {
+        settings = s;
+        RUV.setMaxConcurrent(settings.maxConcurrentFetches);
+        RUV.setProvider(settings);
+    }),
+    RUV.migrateCache(),
+]);
+
+/** @type {number} Epoch ms before which cache maintenance is not re-checked. */
+let nextMaintenanceCheck = 0;
+
+/**
+ * Runs cache maintenance at most once per RUV.CACHE_GC_INTERVAL_MS. Called on
+ * every request because the Chrome service worker may be stopped between
+ * requests, taking any timer with it.
+ *
+ * @returns {void}
+ */
+const maybeRunMaintenance = () => {
+    if (Date.now() < nextMaintenanceCheck) { return; }
+    nextMaintenanceCheck = Date.now() + RUV.CACHE_GC_INTERVAL_MS;
+    RUV.maybeRunCacheMaintenance(settings);
+};
+
+/**
+ * Identifies the page that sent a message, so the scheduler can tell which
+ * waiters to drop when that page cancels or closes.
+ *
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {string}
+ */
+const ownerOf = (sender) => (sender.tab ? `tab:${sender.tab.id}` : 'extension');
+
+/**
+ * Converts a scheduler result into a response payload.
+ *
+ * @param {RUVCacheEntry|null|typeof RUV.CANCELLED} result
+ * @returns {object}
+ */
+const entryResponse = (result) => (result === RUV.CANCELLED ? { entry: null, cancelled: true } : { entry: result });
+
+/**
+ * Message handlers keyed by RUV.MSG type. Each resolves to the response
+ * payload; the current rate-limit pause is added to every response.
+ * @type {Object<string, function(object, string): Promise<object>>}
+ */
+const handlers = {
+    [RUV.MSG.GET_USER_DATA]: async ({ username, priority }, owner) =>
+        entryResponse(await RUV.getUserData(username, settings, owner, priority ?? 0)),
+    [RUV.MSG.REFRESH_USER]: async ({ username }, owner) =>
+        entryResponse(await RUV.refreshUserData(username, settings, owner, 0)),
+    [RUV.MSG.GET_TIMELINE]: async ({ username, subreddits }, owner) => {
+        const result = await RUV.getUserTimeline(username, subreddits, settings, owner);
+        return result === RUV.CANCELLED ? { timeline: null, cancelled: true } : { timeline: result };
+    },
+    [RUV.MSG.REPRIORITIZE]: async ({ updates }, owner) => {
+        for (const { username, priority } of updates) { RUV.reprioritize(username, owner, priority); }
+        return {};
+    },
+    [RUV.MSG.CANCEL]: async ({ usernames }, owner) => {
+        for (const username of usernames) { RUV.cancelScheduled(username, owner); }
+        return {};
+    },
+    [RUV.MSG.CLEAR_RATE_LIMIT]: async () => {
+        RUV.clearRateLimit();
+        return {};
+    },
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    const handler = handlers[message?.type];
+    if (!handler) { return false; }
+
+    ready
+        .then(() => {
+            maybeRunMaintenance();
+            return handler(message, ownerOf(sender));
+        })
+        .then(
+            (response) => sendResponse(Object.assign({ pauseUntil: RUV._rateLimitPauseUntil }, response)),
+            (err) => {
+                console.warn('[RUV] Background handler failed:', err);
+                sendResponse({ entry: null, pauseUntil: RUV._rateLimitPauseUntil });
+            },
+        );
+
+    // Keep the message channel open for the asynchronous response.
+    return true;
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes[RUV.SETTINGS_KEY]) { return; }
+    settings = Object.assign({}, RUV.DEFAULTS, changes[RUV.SETTINGS_KEY].newValue || {});
+    RUV.setMaxConcurrent(settings.maxConcurrentFetches);
+    RUV.setProvider(settings);
+});
+
+// A closed tab no longer needs anything it queued.
+chrome.tabs?.onRemoved.addListener((tabId) => RUV.cancelOwner(`tab:${tabId}`));
@@ -0,0 +1,141 @@
+/**
+ * Reddit User Vibe — Background Client
+ * Page-side counterpart of background.js: requests user data from the
+ * background fetch worker over runtime messaging and mirrors its shared
+ * rate-limit state so tooltips and retry timing stay accurate.
+ * Depends on: config.js
+ */
+
+/**
+ * Epoch ms until which the background worker pauses fetches, as reported by
+ * its most recent response. Mirrors api.js's value in the background.
+ * @type {number}
+ */
+RUV._rateLimitPauseUntil = 0;
+
+/**
+ * Map of username → pending request Promise so several links for the same
+ * user on one page share a single message to the background worker.
+ * @type {Map<string, Promise<RUVCacheEntry|null|typeof RUV.CANCELLED>>}
+ */
+RUV._pendingRequests = new Map();
+
+/**
+ * Sends a message to the background worker and resolves with its response,
+ * or null if the worker is unreachable (e.g. the extension was reloaded and
+ * this page's context was invalidated). Records the rate-limit pause carried
+ * by every response.
+ *
+ * @param {object} message  Must carry a `type` from RUV.MSG.
+ * @returns {Promise<object|null>}
+ */
+RUV._sendMessage = (message) => {
+    return new Promise((resolve) => {
+        try {
+            chrome.runtime.sendMessage(message, (response) => {
+                if (chrome.runtime.lastError || !response) { resolve(null); return; }
+                if (typeof response.pauseUntil === 'number') {
+                    RUV._rateLimitPauseUntil = response.pauseUntil;
+                }
+                resolve(response);
+            });
+        } catch {
+            resolve(null);
+        }
+    });
+};
+
+/**
+ * Returns the cached or freshly-fetched cache entry for a user via the
+ * background worker, which shares its cache, queue and in-flight requests
+ * across all tabs. Resolves to null when the fetch failed, or to
+ * RUV.CANCELLED when the request was withdrawn with {@link RUV.cancelUserData}.
+ *
+ * @param {string} username  Reddit username.
+ * @param {number} [priority=0]  Queue priority; lower runs sooner.
+ * @returns {Promise<RUVCacheEntry|null|typeof RUV.CANCELLED>}
+ */
+RUV.getUserData = async (username, priority = 0) => {
+    if (RUV._pendingRequests.has(username)) { return RUV._pendingRequests.get(username); }
+
+    const promise = RUV._sendMessage({ type: RUV.MSG.GET_USER_DATA, username, priority })
+        .then((response) => (response?.cancelled ? RUV.CANCELLED : response?.entry ?? null));
+
+    RUV._pendingRequests.set(username, promise);
+    try {
+        return await promise;
+    } finally {
+        RUV._pendingRequests.delete(username);
+    }
+};
+
+/**
+ * Updates the queue priority of this page's pending requests.
+ *
+ * @param {Array<{username:string,priority:number}>} updates
+ * @returns {void}
+ */
+RUV.reprioritizeUserData = (updates) => {
+    if (updates.length === 0) { return; }
+    RUV._sendMessage({ type: RUV.MSG.REPRIORITIZE, updates });
+};
+
+/**
+ * Withdraws this page's pending requests for the given users. Requests no
+ * other tab is waiting for are dropped before they reach the API.
+ *
+ * @param {Array<string>} usernames
+ * @returns {void}
+ */
+RUV.cancelUserData = (usernames) => {
+    if (usernames.length === 0) { return; }
+    RUV._sendMessage({ type: RUV.MSG.CANCEL, usernames });
+};
+
+/**
+ * Returns the monthly activity timeline of a user in the given subreddits via
+ * the background worker, which fetches only the series it has not cached.
+ *
+ * @param {string}        username
+ * @param {Array<string>} subreddits
+ * @returns {Promise<RUVTimelineEntry|null>}  Null if the fetch failed.
+ */
+RUV.getUserTimeline = async (username, subreddits) => {
+    const response = await RUV._sendMessage({ type: RUV.MSG.GET_TIMELINE, username, subreddits });
+    return response?.timeline ?? null;
+};
+
+/**
+ * Asks the background worker to re-fetch a user, bypassing the cache.
+ *
+ * @param {string} username  Reddit username.
+ * @returns {Promise<RUVCacheEntry|null>}  The new entry, or null if the fetch failed.
+ */
+RUV.refreshUserData = async (username) => {
+    const response = await RUV._sendMessage({ type: RUV.MSG.REFRESH_USER, username });
+    return response?.entry ?? null;
+};
+
+/**
+ * Clears the shared rate-limit pause in the background worker so queued
+ * fetches in every tab resume immediately.
+ *
+ * @returns {void}
+ */
+RUV.clearRateLimit = () => {
+    RUV._rateLimitPauseUntil = 0;
+    RUV._sendMessage({ type: RUV.MSG.CLEAR_RATE_LIMIT });
+};
+
+/**
+ * Returns a human-readable description of the current rate-limit state,
+ * used as a tooltip on the loading placeholder badge.
+ *
+ * @returns {string}
+ */
+RUV.rateLimitTip = () => {
+    const pauseMs = RUV._rateLimitPauseUntil - Date.now();
+    return pauseMs > 0
+        ? `Rate limited — data available at ${new Date(RUV._rateLimitPauseUntil).toLocaleTimeString()} (click to retry now)`
+        : 'Loading…';
+};
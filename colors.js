@@ -0,0 +1,217 @@
+/**
+ * Reddit User Vibe — Colour Helpers
+ * Colour parsing, WCAG contrast maths, the named pill colour presets and
+ * per-subreddit colours, shared by the content scripts and the options page.
+ * Depends on: config.js
+ */
+
+/**
+ * A named set of the four pill colours offered on the options page.
+ *
+ * @typedef {object} RUVColorPreset
+ * @property {string} label
+ * @property {string} subColor
+ * @property {string} subTextColor
+ * @property {string} countColor
+ * @property {string} countTextColor
+ */
+
+/** @type {Object<string, RUVColorPreset>} Pill colour presets, in the order offered. */
+RUV.COLOR_PRESETS = {
+    default: {
+        label: 'Default',
+        subColor: '#6a5cff',
+        subTextColor: '#ffffff',
+        countColor: '#d93900',
+        countTextColor: '#ffffff',
+    },
+    reddit: {
+        label: 'Reddit blue',
+        subColor: '#0070c0',
+        subTextColor: '#ffffff',
+        countColor: '#1a1a1b',
+        countTextColor: '#ffffff',
+    },
+    muted: {
+        label: 'Muted',
+        subColor: '#3d5a6c',
+        subTextColor: '#ffffff',
+        countColor: '#dadfe3',
+        countTextColor: '#1a1a1b',
+    },
+    highContrast: {
+        label: 'High contrast',
+        subColor: '#000000',
+        subTextColor: '#ffffff',
+        countColor: '#ffff00',
+        countTextColor: '#000000',
+    },
+    okabeIto: {
+        label: 'Colour-blind safe (blue / orange)',
+        subColor: '#0072b2',
+        subTextColor: '#ffffff',
+        countColor: '#e69f00',
+        countTextColor: '#000000',
+    },
+    tolBright: {
+        label: 'Colour-blind safe (blue / yellow)',
+        subColor: '#004488',
+        subTextColor: '#ffffff',
+        countColor: '#ddaa33',
+        countTextColor: '#000000',
+    },
+};
+
+/** @type {{aaLarge: number, aa: number, aaa: number}} WCAG 2 minimum contrast ratios. */
+RUV.WCAG_RATIOS = { aaLarge: 3, aa: 4.5, aaa: 7 };
+
+/**
+ * Parses "#rgb", "#rrggbb" (optionally with alpha digits) or a computed
+ * "rgb()" / "rgba()" string into 0–255 channels and a 0–1 alpha.
+ *
+ * @param {string} color
+ * @returns {{r: number, g: number, b: number, a: number}|null}  null if unparseable.
+ */
+RUV.parseColor = (color) => {
+    const text = String(color || '').trim();
+    let match = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(text);
+    if (match) {
+        let hex = match[1];
+        if (hex.length <= 4) { hex = hex.replace(/./g, '$&$&'); }
+        const [r, g, b] = [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+        const a = hex.length === 8 ? parseInt(hex.slice(6), 16) / 255 : 1;
+        return { r, g, b, a };
+    }
+    match = /^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/i.exec(text);
+    if (!match) { return null; }
+    let a = match[4] === undefined ? 1 : parseFloat(match[4]);
+    if (match[4]?.endsWith('%')) { a /= 100; }
+    return { r: +match[1], g: +match[2], b: +match[3], a };
+};
+
+/**
+ * Returns the WCAG relative luminance of a colour, ignoring its alpha.
+ *
+ * @param {string} color  Any format accepted by RUV.parseColor.
+ * @returns {number}  0 (black) to 1 (white); 0 if the colour is unparseable.
+ */
+RUV.relativeLuminance = (color) => {
+    const rgb = RUV.parseColor(color);
+    if (!rgb) { return 0; }
+    const [r, g, b] = [rgb.r, rgb.g, rgb.b].map((v) => {
+        const c = v / 255;
+        return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+/**
+ * Returns the WCAG contrast ratio between two colours, from 1 to 21.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+RUV.contrastRatio = (a, b) => {
+    const [light, dark] = [RUV.relativeLuminance(a), RUV.relativeLuminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+};
+
+/**
+ * Names the highest WCAG level a contrast ratio meets. Pill text is small, so
+ * "AA large" means it is only readable enough for large text.
+ *
+ * @param {number} ratio
+ * @returns {'AAA'|'AA'|'AA large'|'Fail'}
+ */
+RUV.contrastGrade = (ratio) => {
+    if (ratio >= RUV.WCAG_RATIOS.aaa) { return 'AAA'; }
+    if (ratio >= RUV.WCAG_RATIOS.aa) { return 'AA'; }
+    if (ratio >= RUV.WCAG_RATIOS.aaLarge) { return 'AA large'; }
+    return 'Fail';
+};
+
+/**
+ * Picks dark or white text for a background, whichever contrasts more.
+ *
+ * @param {string} background  Any format accepted by RUV.parseColor.
+ * @returns {string}
+ */
+RUV.textColorFor = (background) => {
+    return RUV.contrastRatio(background, '#1a1a1b') > RUV.contrastRatio(background, '#ffffff')
+        ? '#1a1a1b'
+        : '#ffffff';
+};
+
+/**
+ * Converts an HSL colour to "#rrggbb".
+ *
+ * @param {number} hue         0–360 degrees.
+ * @param {number} saturation  0–100 percent.
+ * @param {number} lightness   0–100 percent.
+ * @returns {string}
+ */
+RUV.hslToHex = (hue, saturation, lightness) => {
+    const s = saturation / 100;
+    const l = lightness / 100;
+    const a = s * Math.min(l, 1 - l);
+    const channel = (n) => {
+        const k = (n + hue / 30) % 12;
+        const v = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        return Math.round(v * 255).toString(16).padStart(2, '0');
+    };
+    return `#${channel(0)}${channel(8)}${channel(4)}`;
+};
+
+/**
+ * Returns a 32-bit FNV-1a hash of a string.
+ *
+ * @param {string} text
+ * @returns {number}  Unsigned integer.
+ */
+RUV._hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Derives a stable background colour for a subreddit from its name, so the
+ * same subreddit looks the same everywhere. The hue comes from a hash of the
+ * lower-cased name, with saturation and lightness varied a little for more
+ * distinct neighbours; the lightness is then nudged, by as little as
+ * possible, until RUV.textColorFor's text reaches WCAG AA on it.
+ *
+ * @param {string} subreddit
+ * @returns {string}  "#rrggbb".
+ */
+RUV.subredditColor = (subreddit) => {
+    const hash = RUV._hashString(subreddit.toLowerCase());
+    const hue = hash % 360;
+    const saturation = 55 + ((hash >>> 9) % 3) * 10;
+    const lightness = 40 + ((hash >>> 12) % 3) * 8;
+    const readable = (color) => RUV.contrastRatio(color, RUV.textColorFor(color)) >= RUV.WCAG_RATIOS.aa;
+    for (let step = 0; step <= lightness; step++) {
+        for (const l of [lightness - step, lightness + step]) {
+            const color = RUV.hslToHex(hue, saturation, l);
+            if (readable(color)) { return color; }
+        }
+    }
+    return RUV.hslToHex(hue, saturation, lightness);
+};
+
+/**
+ * Returns the id of the preset whose four colours equal those given, if any.
+ *
+ * @param {{subColor: string, subTextColor: string, countColor: string, countTextColor: string}} colors
+ * @returns {string}  Preset id, or '' for a custom combination.
+ */
+RUV.findColorPreset = (colors) => {
+    const keys = ['subColor', 'subTextColor', 'countColor', 'countTextColor'];
+    const match = Object.entries(RUV.COLOR_PRESETS).find(([, preset]) =>
+        keys.every((k) => preset[k].toLowerCase() === String(colors[k] || '').toLowerCase()));
+    return match ? match[0] : '';
+};
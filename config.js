@@ -5,19 +5,95 @@
 
 /**
  * Global namespace for all Reddit User Vibe modules.
- * Declared on window so it is accessible to all subsequent content scripts.
+ * Declared on globalThis so it is accessible to all subsequent scripts,
+ * including the background service worker, which has no window.
  * @type {object}
  */
-window.RUV = {};
+globalThis.RUV = {};
 
 /** @type {string} Prefix for per-user cache entries in chrome.storage.local. */
 RUV.STORAGE_KEY_PREFIX = 'ruv_user_';
 
+/**
+ * @type {string} Regex source for a Reddit username: 3 to 20 letters, digits,
+ * underscores or hyphens. Shared by the link and mention matchers and by backup
+ * validation, so nothing else can become a cache key.
+ */
+RUV.USERNAME_PATTERN = '[A-Za-z0-9_-]{3,20}';
+
+/** @type {RegExp} Matches a whole Reddit username. */
+RUV.USERNAME_RE = new RegExp(`^${RUV.USERNAME_PATTERN}$`);
+
+/** @type {string} Prefix for per-user monthly timelines, cached apart from the summary entries. */
+RUV.TIMELINE_KEY_PREFIX = 'ruv_timeline_';
+
+/** @type {number} Number of calendar months, up to and including the current one, in a timeline. */
+RUV.TIMELINE_MONTHS = 12;
+
+/** @type {number} Maximum subreddits per user that get a sparkline in the expanded row. */
+RUV.TIMELINE_MAX_SUBS = 5;
+
+/** @type {string} Prefix for the user's own tags and notes, keyed by lower-cased username. */
+RUV.TAG_KEY_PREFIX = 'ruv_tag_';
+
+/** @type {string} Colour given to a new tag. */
+RUV.DEFAULT_TAG_COLOR = '#0079d3';
+
 /** @type {string} Key under which extension settings are stored. */
 RUV.SETTINGS_KEY = 'ruv_settings';
 
-/** @type {string} Base URL for the Arctic Shift subreddit-interactions endpoint. */
-RUV.API_BASE = 'https://arctic-shift.photon-reddit.com/api/users/interactions/subreddits';
+/** @type {string} Key holding the epoch ms of the last cache maintenance run. */
+RUV.CACHE_GC_KEY = 'ruv_cache_gc_at';
+
+/** @type {number} Minimum interval between cache maintenance runs, shared across tabs. */
+RUV.CACHE_GC_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * @type {number} Layout version of per-user cache entries. Bump whenever the
+ * entry shape changes; entries written with another version are refetched.
+ */
+RUV.CACHE_VERSION = 2;
+
+/** @type {string} Key holding the RUV.CACHE_VERSION the stored entries were last migrated to. */
+RUV.CACHE_VERSION_KEY = 'ruv_cache_version';
+
+/** @type {number} A cache hit only rewrites an entry's lastAccess when it is older than this. */
+RUV.CACHE_TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * @type {number} Longest a user with no activity, or a suspended account, is
+ * cached: either may change soon, unlike a deleted account or a full history.
+ */
+RUV.EMPTY_CACHE_MS = 24 * 60 * 60 * 1000;
+
+/** @type {string} Identifies backup files written by the options page. */
+RUV.BACKUP_FORMAT = 'reddit-user-vibe-backup';
+
+/** @type {number} Version of the backup document layout; bump when it changes incompatibly. */
+RUV.BACKUP_VERSION = 1;
+
+/**
+ * Runtime message types understood by the background fetch worker.
+ * @enum {string}
+ */
+RUV.MSG = {
+    GET_USER_DATA: 'ruv:getUserData',
+    REFRESH_USER: 'ruv:refreshUser',
+    CLEAR_RATE_LIMIT: 'ruv:clearRateLimit',
+    GET_TIMELINE: 'ruv:getTimeline',
+    REPRIORITIZE: 'ruv:reprioritize',
+    CANCEL: 'ruv:cancel',
+};
+
+/**
+ * Sentinel result for a user-data request that was cancelled before its
+ * fetch started (every page that wanted it lost interest).
+ * @type {{ cancelled: true }}
+ */
+RUV.CANCELLED = Object.freeze({ cancelled: true });
+
+/** @type {number} Added to the priority of links outside the preload zone so those in view go first. */
+RUV.OFFSCREEN_PRIORITY_PENALTY = 1e6;
 
 /** @type {number} Maximum consecutive all-null fetch retries before giving up. */
 RUV.MAX_RETRIES = 5;
@@ -33,10 +109,112 @@ RUV.MAX_RETRIES = 5;
  * @property {string}  countColor     - Background color of the count section of a pill.
  * @property {string}  subTextColor   - Text color of the subreddit section of a pill.
  * @property {string}  countTextColor - Text color of the count section of a pill.
+ * @property {number}  maxConcurrentFetches - Maximum API requests running at once, across all tabs.
+ * @property {number}  preloadMargin  - Distance in px above and below the viewport at which
+ *                                      links start loading, so badges are ready on arrival.
  * @property {number}  cacheDays      - Number of days before cached data expires.
+ * @property {boolean} serveStale     - Show expired data at once, marked as stale, while it is
+ *                                      re-fetched in the background.
+ * @property {number}  staleMaxDays   - Hard maximum age in days of expired data shown with
+ *                                      `serveStale`; older data is waited for like a miss.
+ * @property {number}  cacheMaxEntries - Maximum number of cached users; least recently used
+ *                                      entries are evicted beyond it. 0 means unlimited.
+ * @property {number}  cacheMaxKB     - Approximate byte budget for cached users, in KiB.
+ *                                      0 means unlimited.
  * @property {boolean} paused         - When true the extension does not annotate any links.
+ * @property {Array<RUVCategory>} categories - User-defined subreddit categories, matched in order.
+ * @property {Array<RUVWatchEntry>} watchlist - Subreddits whose active users are flagged.
+ * @property {Array<string>} ignoreSubs - Subreddit names or wildcard patterns never shown as pills.
+ * @property {boolean} overfetch      - Request extra subreddits so that `limit` pills remain
+ *                                      after ignored ones are removed.
+ * @property {'total'|'split'|'stacked'} countBreakdown - How pills show posts vs comments: one
+ *                                      combined count, separate post and comment segments, or
+ *                                      both counts stacked in one segment.
+ * @property {string}  trendWindow    - Recent window (e.g. "1month") fetched alongside `after` to
+ *                                      mark subreddits as rising, falling or new. Empty string
+ *                                      disables trend mode.
+ * @property {string}  provider       - Id of the data provider in RUV.PROVIDERS.
+ * @property {string}  providerBaseUrl - Base URL for the provider; empty uses its default.
+ * @property {boolean} checkAccountStatus - Ask Reddit whether users with no activity are
+ *                                      deleted or suspended. Off by default, as it sends
+ *                                      their usernames to reddit.com as well.
+ * @property {'click'|'hover'} popoverTrigger - Whether the details popover opens only from the
+ *                                      row's info button, or also on hovering the row.
+ * @property {Array<RUVSiteRule>} siteRules - Pages on which the extension is switched on or off.
+ * @property {'scroll'|'compact'|'wrap'} pillLayout - How a row fits its pills: one scrollable
+ *                                      line, the first `compactPills` plus a "+N" chip that
+ *                                      expands the rest, or wrapped onto several lines.
+ * @property {number}  compactPills   - Pills shown before the "+N" chip in the compact layout.
+ * @property {boolean} wheelScroll    - Whether the mouse wheel scrolls the pills of a row in the
+ *                                      scroll layout instead of the page.
+ * @property {'raw'|'percent'|'bar'} countDisplay - What the count part of a pill shows: the
+ *                                      count itself, its share of the user's total activity
+ *                                      across the fetched subreddits, or that share as a bar.
+ * @property {boolean} humanizeCounts - Abbreviate large counts, e.g. 1234 as "1.2k".
+ * @property {'auto'|'light'|'dark'} theme - Palette of the extension's own UI (tooltips,
+ *                                      buttons, popover); 'auto' follows Reddit's theme.
+ * @property {boolean} colorBySubreddit - Give each subreddit part of a pill its own colour,
+ *                                      derived from the subreddit name, instead of `subColor`.
+ * @property {Array<RUVSubColor>} subColors - Fixed colours for particular subreddits; these win
+ *                                      over categories and the derived colours.
+ * @property {boolean} annotateMentions - Also badge u/ mentions in comment and post bodies,
+ *                                      with a compact row.
+ * @property {number}  mentionLimit   - Most mentions badged on one page.
+ */
+
+/**
+ * A named group of subreddits whose pills share a colour.
+ *
+ * @typedef {object} RUVCategory
+ * @property {string}        name      - Display name (e.g. "Gaming").
+ * @property {Array<string>} patterns  - Subreddit names or wildcard patterns (e.g. "*crypto*").
+ * @property {string}        color     - Background color of the subreddit section of matching pills.
+ * @property {string}        textColor - Text color of the subreddit section of matching pills.
  */
 
+/**
+ * A fixed background colour for one subreddit's pills. The text colour is
+ * picked automatically for contrast.
+ *
+ * @typedef {object} RUVSubColor
+ * @property {string} subreddit - Exact subreddit name, without "r/".
+ * @property {string} color     - Background colour as "#rrggbb".
+ */
+
+/**
+ * A watched subreddit. A user matches when their count in the subreddit is
+ * at least minCount.
+ *
+ * @typedef {object} RUVWatchEntry
+ * @property {string} subreddit - Subreddit name or wildcard pattern.
+ * @property {number} minCount  - Minimum activity count to trigger (1 = any activity).
+ * @property {'low'|'medium'|'high'} severity - Controls the warning colour.
+ */
+
+/**
+ * A rule switching the extension on or off for matching pages. Empty fields
+ * match anything. A page is off if any deny rule matches it; otherwise, when
+ * there are allow rules, it is on only if one of them matches.
+ *
+ * @typedef {object} RUVSiteRule
+ * @property {'allow'|'deny'} action
+ * @property {string} subreddit  - Subreddit name or wildcard pattern; only matches pages inside
+ *                                 a subreddit.
+ * @property {''|'comments'|'listing'|'user'|'inbox'} pageType
+ * @property {''|'www'|'old'} host
+ */
+
+/** @type {Object<string, string>} Page types a site rule can match, with their labels. */
+RUV.PAGE_TYPES = {
+    comments: 'Comment pages',
+    listing: 'Listings',
+    user: 'User profiles',
+    inbox: 'Inbox',
+};
+
+/** @type {Array<string>} Watchlist severities, lowest first. */
+RUV.WATCH_SEVERITIES = ['low', 'medium', 'high'];
+
 /** @type {RUVSettings} */
 RUV.DEFAULTS = {
     limit: 10,
@@ -45,6 +223,179 @@ RUV.DEFAULTS = {
     countColor: '#d93900',
     subTextColor: '#ffffff',
     countTextColor: '#ffffff',
+    maxConcurrentFetches: 3,
+    preloadMargin: 300,
     cacheDays: 7,
+    serveStale: true,
+    staleMaxDays: 30,
+    cacheMaxEntries: 5000,
+    cacheMaxKB: 4096,
     paused: false,
+    categories: [],
+    watchlist: [],
+    ignoreSubs: [],
+    overfetch: false,
+    countBreakdown: 'total',
+    trendWindow: '',
+    popoverTrigger: 'click',
+    provider: 'arctic-shift',
+    providerBaseUrl: '',
+    checkAccountStatus: false,
+    siteRules: [],
+    pillLayout: 'scroll',
+    compactPills: 3,
+    wheelScroll: false,
+    countDisplay: 'raw',
+    humanizeCounts: false,
+    theme: 'auto',
+    colorBySubreddit: false,
+    subColors: [],
+    annotateMentions: false,
+    mentionLimit: 20,
+};
+
+/** @type {number} Pills shown before the "+N" chip in the compact rows of u/ mentions. */
+RUV.MENTION_PILLS = 3;
+
+/** @type {number} Hover time in ms before the details popover opens in 'hover' mode. */
+RUV.POPOVER_HOVER_DELAY_MS = 450;
+
+/**
+ * Approximate length in days of each relative time window accepted by the
+ * API; "" (all time) is unbounded.
+ * @type {Object<string, number>}
+ */
+RUV.WINDOW_DAYS = {
+    '1week': 7,
+    '2week': 14,
+    '1month': 30,
+    '3month': 91,
+    '6month': 182,
+    '1year': 365,
+    '': Infinity,
+};
+
+/**
+ * @type {number} A subreddit is rising when its share of the user's recent
+ * activity is at least this many times its share overall, and falling at
+ * the inverse.
+ */
+RUV.TREND_RATIO = 1.5;
+
+/** @type {number} Subreddits with fewer posts/comments than this in both windows get no trend marker. */
+RUV.TREND_MIN_COUNT = 3;
+
+/** @type {number} Multiplier applied to `limit` when over-fetching, capped at the API maximum of 100. */
+RUV.OVERFETCH_FACTOR = 2;
+
+/**
+ * @type {number} Subreddits requested per kind (posts, comments) before the
+ * merged list is cut to `limit`; the API maximum, so a subreddit that ranks
+ * low in each kind but high in their sum is still counted.
+ */
+RUV.KIND_FETCH_LIMIT = 100;
+
+/**
+ * Returns the number of subreddits to request from the API for the given
+ * settings: `limit`, or more when over-fetching with a non-empty ignore list.
+ *
+ * @param {RUVSettings} settings
+ * @returns {number}
+ */
+RUV.getFetchLimit = (settings) => {
+    if (!settings.overfetch || settings.ignoreSubs.length === 0) { return settings.limit; }
+    return Math.min(100, settings.limit * RUV.OVERFETCH_FACTOR);
+};
+
+/**
+ * Returns the recent window to fetch for trend mode, or "" when trend mode is
+ * off or the window is not shorter than the main `after` window.
+ *
+ * @param {RUVSettings} settings
+ * @returns {string}
+ */
+RUV.getTrendWindow = (settings) => {
+    const recent = settings.trendWindow;
+    if (!recent || !(recent in RUV.WINDOW_DAYS)) { return ''; }
+    return RUV.WINDOW_DAYS[recent] < (RUV.WINDOW_DAYS[settings.after] ?? Infinity) ? recent : '';
+};
+
+/**
+ * Returns the oldest cached data may be and still be shown, in ms: the
+ * cache duration, or with `serveStale` the larger of it and `staleMaxDays`.
+ * Without a cache duration nothing is shown from the cache, stale or not.
+ *
+ * @param {RUVSettings} settings
+ * @returns {number}
+ */
+RUV.getMaxShownAgeMs = (settings) => {
+    const day = 24 * 60 * 60 * 1000;
+    if (!settings.serveStale || settings.cacheDays <= 0) { return settings.cacheDays * day; }
+    return Math.max(settings.cacheDays, settings.staleMaxDays) * day;
+};
+
+/**
+ * Returns true if color is a plain hex colour ("#rgb" to "#rrggbbaa"), the
+ * only form of stored colour that is put into generated CSS.
+ *
+ * @param {any} color
+ * @returns {boolean}
+ */
+RUV.isSafeColor = (color) => typeof color === 'string' && /^#[0-9a-fA-F]{3,8}$/.test(color);
+
+/**
+ * Formats a duration as a compact age such as "45m", "3h" or "12d".
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+RUV.formatAge = (ms) => {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 60) { return `${Math.max(0, minutes)}m`; }
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) { return `${hours}h`; }
+    return `${Math.floor(hours / 24)}d`;
+};
+
+/**
+ * Lower-cases a subreddit name and strips a leading "r/" or "/r/", giving the
+ * form pills carry in their data-subreddit attribute.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+RUV.normalizeSubName = (name) => {
+    return String(name || '').trim().replace(/^\/?r\//i, '').toLowerCase();
+};
+
+/**
+ * Formats an activity count, abbreviated as "1.2k" or "34k" when humanize is
+ * set. Rounds down, so a count never reads higher than it is.
+ *
+ * @param {number}  n
+ * @param {boolean} humanize
+ * @returns {string}
+ */
+RUV.formatCount = (n, humanize) => {
+    if (humanize) {
+        for (const [size, suffix] of [[1e6, 'M'], [1e3, 'k']]) {
+            if (n < size) { continue; }
+            const v = n / size;
+            return `${v < 10 ? Math.floor(v * 10) / 10 : Math.floor(v)}${suffix}`;
+        }
+    }
+    return String(n);
+};
+
+/**
+ * Formats a share between 0 and 1 as a whole percentage, showing "<1%" and
+ * ">99%" rather than rounding a partial share to 0% or 100%.
+ *
+ * @param {number} share
+ * @returns {string}
+ */
+RUV.formatShare = (share) => {
+    if (share > 0 && share < 0.005) { return '<1%'; }
+    if (share < 1 && share >= 0.995) { return '>99%'; }
+    return `${Math.round(share * 100)}%`;
 };
@@ -1,9 +1,10 @@
 /**
  * Reddit User Vibe — Content Script (main entry point)
  * Orchestrates user-link scanning, label insertion, and settings reactivity.
- * Must be loaded last; depends on: config.js, storage.js, api.js, ui.js.
+ * Must be loaded last; depends on: config.js, storage.js, client.js, ui.js, adapters.js.
  *
- * Works on both www.reddit.com and old.reddit.com.
+ * Works on www.reddit.com, old.reddit.com and sh.reddit.com. "Link nodes" are
+ * the author elements found by the site adapters; most are profile links.
  */
 
 /**
@@ -21,65 +22,218 @@ let settings = Object.assign({}, RUV.DEFAULTS);
 const inProgress = new WeakSet();
 
 /**
- * Regex that matches a user-profile URL on www.reddit.com or old.reddit.com
- * with no extra path segments or query/hash parameters after the username.
- * Capture group 1: "www" or "old".
- * Capture group 2: the Reddit username.
+ * Links whose user-data request is still pending, mapped to their username.
+ * Unlike inProgress this can be iterated, so pending requests can be
+ * re-prioritised as the page scrolls or cancelled when their links vanish.
+ * @type {Map<HTMLAnchorElement, string>}
+ */
+const waiting = new Map();
+
+/**
+ * Cache entry last rendered for each labelled link, so rows can be rebuilt in
+ * place when display settings change without going back to the cache or API.
+ * The entry is null for failed-state rows left by a fetch that gave up.
+ * @type {WeakMap<HTMLAnchorElement, { username: string, entry: RUVCacheEntry|null }>}
+ */
+const rendered = new WeakMap();
+
+/**
+ * Every link node given a badge row, loading or finished, so the rows can be
+ * revisited without scanning the page (and its shadow roots) for them.
+ * @type {Set<Element>}
+ */
+const labelled = new Set();
+
+/**
+ * Returns the labelled link nodes still on the page. Removed ones are
+ * forgotten, and labelled afresh if they are ever put back.
  *
- * Valid:   https://www.reddit.com/user/alice/
- * Valid:   https://old.reddit.com/user/bob
- * Invalid: https://www.reddit.com/user/alice/posts
- * Invalid: https://www.reddit.com/user/alice?sort=new
+ * @returns {Array<Element>}
  */
-const USER_HREF_RE = /^https?:\/\/(www|old)\.reddit\.com\/user\/([^/?#]+)\/?$/;
+const labelledLinks = () => {
+  const links = [];
+  for (const linkNode of labelled) {
+    if (linkNode.isConnected) {
+      links.push(linkNode);
+      continue;
+    }
+    labelled.delete(linkNode);
+    delete linkNode.dataset.ruvDone;
+    rendered.delete(linkNode);
+  }
+  return links;
+};
 
 /**
- * Extracts the Reddit username from an anchor node.
- * Two conditions must both hold:
- *   1. `node.href` must match a bare /user/<name> URL (no extra segments or params).
- *   2. The node's visible text must contain the extracted username.
+ * The user's own tags, keyed by lower-cased username. Loaded during init()
+ * and kept in sync via chrome.storage.onChanged.
+ * @type {Map<string, RUVUserTag>}
+ */
+let tags = new Map();
+
+/**
+ * Returns the tag for a username, or null.
  *
- * @param {HTMLAnchorElement} node
- * @returns {string|null}  Username, or null if the node doesn't qualify.
+ * @param {string} username
+ * @returns {RUVUserTag|null}
+ */
+const tagFor = (username) => tags.get(username.toLowerCase()) || null;
+
+/**
+ * Whether the site rules leave the extension on for the current page.
+ * Re-evaluated on navigation, since new Reddit changes URLs without reloading.
+ * @type {boolean}
  */
-const extractUsername = (node) => {
-  const m = (node.href || '').match(USER_HREF_RE);
-  if (!m) { return null; }
-  const username = m[2];
-  const text = (node.innerText || node.textContent || '').trim();
-  if (!text.toLowerCase().includes(username.toLowerCase())) { return null; }
-  return username;
+let pageEnabled = true;
+
+/** @type {string} URL the site rules were last evaluated for. */
+let currentHref = location.href;
+
+/**
+ * u/ mentions badged on the current page, or wrapped in a span to be badged,
+ * counted against `settings.mentionLimit`. Mentions the page has removed are
+ * dropped by {@link pruneMentions} before the cap is checked.
+ * @type {Set<Element>}
+ */
+const mentionsShown = new Set();
+
+/**
+ * Forgets mentions that are no longer on the page, so they stop counting
+ * towards the cap.
+ *
+ * @returns {void}
+ */
+const pruneMentions = () => {
+  for (const linkNode of mentionsShown) {
+    if (!linkNode.isConnected) { mentionsShown.delete(linkNode); }
+  }
+};
+
+/**
+ * Holds a place under the mention cap for a plain-text mention about to be
+ * wrapped, so the page's text is only split for mentions that get a badge.
+ * Not pruned here: spans claimed earlier in the same scan are not in the page yet.
+ *
+ * @param {Element} span
+ * @returns {boolean}  False once the cap is reached.
+ */
+const claimMention = (span) => {
+  if (mentionsShown.size >= settings.mentionLimit) { return false; }
+  mentionsShown.add(span);
+  return true;
+};
+
+/**
+ * Returns the settings a link's row is rendered with: mentions get a compact
+ * row, whatever the layout chosen for authors.
+ *
+ * @param {Element} linkNode
+ * @returns {RUVSettings}
+ */
+const settingsFor = (linkNode) => {
+  if (!RUV.isMention(linkNode)) { return settings; }
+  return { ...settings, pillLayout: 'compact', compactPills: RUV.MENTION_PILLS };
+};
+
+/**
+ * Returns true if a link may be badged: authors always, mentions only while
+ * mentions are switched on and, for new ones, the page's cap is not reached.
+ *
+ * @param {Element} linkNode
+ * @returns {boolean}
+ */
+const mentionAllowed = (linkNode) => {
+  if (!RUV.isMention(linkNode)) { return true; }
+  if (!settings.annotateMentions) { return false; }
+  if (mentionsShown.has(linkNode)) { return true; }
+  pruneMentions();
+  return mentionsShown.size < settings.mentionLimit;
+};
+
+/**
+ * Returns the fetch priority of a link: its distance in pixels from the
+ * vertical centre of the viewport, plus a large penalty when it has left the
+ * preload zone so that everything the user can see is fetched first.
+ * Lower runs sooner.
+ *
+ * @param {HTMLAnchorElement} linkNode
+ * @returns {number}
+ */
+const viewportPriority = (linkNode) => {
+  const r = linkNode.getBoundingClientRect();
+  const distance = Math.abs((r.top + r.bottom) / 2 - window.innerHeight / 2);
+  return inView.has(linkNode) ? distance : distance + RUV.OFFSCREEN_PRIORITY_PENALTY;
+};
+
+/**
+ * Re-ranks this page's pending requests by the current viewport position of
+ * their links, and cancels requests whose links have all been removed from
+ * the DOM.
+ *
+ * @returns {void}
+ */
+const updatePriorities = () => {
+  /** @type {Map<string, number>} username → most urgent priority among its links */
+  const best = new Map();
+  const detached = new Set();
+  for (const [linkNode, username] of waiting) {
+    if (!linkNode.isConnected) {
+      waiting.delete(linkNode);
+      viewportObserver?.unobserve(linkNode);
+      watchBands(linkNode, false);
+      detached.add(username);
+      continue;
+    }
+    best.set(username, Math.min(best.get(username) ?? Infinity, viewportPriority(linkNode)));
+  }
+  RUV.cancelUserData(Array.from(detached).filter((u) => !best.has(u)));
+  RUV.reprioritizeUserData(Array.from(best, ([username, priority]) => ({ username, priority })));
 };
 
 /**
  * Shows a loading label, fetches user data, then renders final labels.
  * On a null result (network/rate-limit failure) the loading label is kept
- * and a retry is scheduled with exponential backoff (up to MAX_RETRIES).
+ * and a retry is scheduled with exponential backoff (up to MAX_RETRIES), after
+ * which the row shows the failed state and waits for a manual retry.
  *
  * @param {HTMLAnchorElement} linkNode
  * @param {number} [attempt=0]  Current retry attempt count.
  * @returns {Promise<void>}
  */
 const processLink = async (linkNode, attempt = 0) => {
-  if (inProgress.has(linkNode)) { return; }
+  if (!pageEnabled || inProgress.has(linkNode)) { return; }
   // Skip links that already have final labels
   if (linkNode.dataset.ruvDone === 'true') { return; }
 
-  const username = extractUsername(linkNode);
-  if (!username) { return; }
+  const username = RUV.getAuthor(linkNode);
+  if (!username || !mentionAllowed(linkNode)) { return; }
+  if (RUV.isMention(linkNode)) { mentionsShown.add(linkNode); }
 
   inProgress.add(linkNode);
-  RUV.showLoadingLabel(linkNode);
+  waiting.set(linkNode, username);
+  watchBands(linkNode, true);
+  labelled.add(linkNode);
+  RUV.showLoadingLabel(linkNode, username, tagFor(username));
 
-  const data = await RUV.getUserData(username, settings);
+  const entry = await RUV.getUserData(username, viewportPriority(linkNode));
 
   inProgress.delete(linkNode);
+  waiting.delete(linkNode);
+  watchBands(linkNode, false);
+
+  // Withdrawn by updatePriorities because the link left the page, or the
+  // page was switched off by a site rule (or mentions were) meanwhile
+  if (entry === RUV.CANCELLED || !pageEnabled || !mentionAllowed(linkNode)) { return; }
 
-  if (data === null) {
+  if (entry === null) {
     // Fetch failed — keep loading indicator, schedule retry with backoff
     if (attempt >= RUV.MAX_RETRIES) {
-      const row = RUV._getBadgeRow(linkNode);
-      if (row) { row.remove(); delete linkNode.dataset.ruvRowId; }
+      // Counts as finished, so the row is rebuilt if another tab fetches the user
+      RUV.appendLabels(linkNode, null, username, settingsFor(linkNode), tagFor(username));
+      rendered.set(linkNode, { username, entry: null });
+      labelled.add(linkNode);
+      linkNode.dataset.ruvDone = 'true';
+      viewportObserver?.unobserve(linkNode);
       console.warn(`[RUV] Giving up on "${username}" after ${RUV.MAX_RETRIES} retries`);
       return;
     }
@@ -93,33 +247,100 @@ const processLink = async (linkNode, attempt = 0) => {
     return;
   }
 
-  RUV.appendLabels(linkNode, data, username);
+  RUV.appendLabels(linkNode, entry, username, settingsFor(linkNode), tagFor(username));
+  rendered.set(linkNode, { username, entry });
+  labelled.add(linkNode);
   linkNode.dataset.ruvDone = 'true';
+  viewportObserver?.unobserve(linkNode);
+};
+
+/**
+ * Rebuilds every finished badge row on the page from its last rendered entry,
+ * applying the current settings. Used when display-only settings change.
+ *
+ * @returns {void}
+ */
+const rerenderAll = () => {
+  labelledLinks().forEach((linkNode) => {
+    const last = linkNode.dataset.ruvDone === 'true' && rendered.get(linkNode);
+    if (last) { RUV.appendLabels(linkNode, last.entry, last.username, settingsFor(linkNode), tagFor(last.username)); }
+  });
+};
+
+/**
+ * Applies tag changes from storage and rebuilds the rows of the affected
+ * users: finished rows (including failed-state rows left by given-up fetches) from
+ * their last rendered entry, and loading rows with a fresh placeholder.
+ *
+ * @param {Object<string, chrome.storage.StorageChange>} changes
+ * @returns {void}
+ */
+const rerenderTaggedUsers = (changes) => {
+  const changed = new Set();
+  for (const [key, change] of Object.entries(changes)) {
+    if (!key.startsWith(RUV.TAG_KEY_PREFIX)) { continue; }
+    const name = key.slice(RUV.TAG_KEY_PREFIX.length);
+    if (change.newValue) { tags.set(name, change.newValue); } else { tags.delete(name); }
+    changed.add(name);
+  }
+  if (changed.size === 0) { return; }
+
+  labelledLinks().forEach((linkNode) => {
+    const pending = waiting.get(linkNode);
+    if (pending && changed.has(pending.toLowerCase())) {
+      RUV._getBadgeRow(linkNode)?.remove();
+      delete linkNode.dataset.ruvRowId;
+      RUV.showLoadingLabel(linkNode, pending, tagFor(pending));
+      return;
+    }
+    const last = rendered.get(linkNode);
+    if (!last || !changed.has(last.username.toLowerCase())) { return; }
+    RUV.appendLabels(linkNode, last.entry, last.username, settingsFor(linkNode), tagFor(last.username));
+  });
+};
+
+/**
+ * Rebuilds the rows of users whose cache entries were re-fetched elsewhere,
+ * e.g. from the details popover, another tab or the options page.
+ * Entries that were only touched (same `fetchedAt`) or removed are ignored,
+ * without looking at the page, as every cache hit touches its entry.
+ *
+ * @param {Object<string, chrome.storage.StorageChange>} changes
+ * @returns {void}
+ */
+const rerenderChangedUsers = (changes) => {
+  /** @type {Map<string, RUVCacheEntry>} */
+  const updated = new Map();
+  for (const [key, change] of Object.entries(changes)) {
+    if (!key.startsWith(RUV.STORAGE_KEY_PREFIX) || !change.newValue) { continue; }
+    if (change.newValue.fetchedAt === change.oldValue?.fetchedAt) { continue; }
+    updated.set(key.slice(RUV.STORAGE_KEY_PREFIX.length), change.newValue);
+  }
+  if (updated.size === 0) { return; }
+
+  labelledLinks().forEach((linkNode) => {
+    const last = linkNode.dataset.ruvDone === 'true' && rendered.get(linkNode);
+    const entry = last && updated.get(last.username);
+    if (!entry || entry.fetchedAt === last.entry?.fetchedAt) { return; }
+    RUV.appendLabels(linkNode, entry, last.username, settingsFor(linkNode), tagFor(last.username));
+    rendered.set(linkNode, { username: last.username, entry });
+  });
 };
 
 document.addEventListener('click', (e) => {
-  const pill = e.target.closest?.('.ruv-pill');
+  const pill = RUV._eventTarget(e).closest?.('.ruv-pill');
   if (!pill) { return; }
 
   const row = pill.closest('.ruv-badge-row');
-  if (!row || !row.querySelector('.ruv-pill-loading')) { return; }
+  if (!row || !row.querySelector('.ruv-pill-loading, .ruv-state-failed')) { return; }
 
   e.preventDefault();
   e.stopPropagation();
   RUV.clearRateLimit();
 
-  // Walk up from the row to find its associated link node
-  const linkNode = (() => {
-    // After-sibling insertion: the link is the previous sibling
-    if (row.previousElementSibling && row.previousElementSibling.tagName === 'A') {
-      return row.previousElementSibling;
-    }
-    // Appended-inside insertion: the link is a parent/ancestor
-    const anchor = row.closest('a[href*="/user/"]');
-    return anchor || null;
-  })();
-
+  const linkNode = RUV.getRowLink(row);
   if (!linkNode) { return; }
+  RUV.announce(`Retrying u/${RUV.getAuthor(linkNode)}`);
 
   // Remove the badge row so processLink can reinsert a fresh loading label
   row.remove();
@@ -130,25 +351,230 @@ document.addEventListener('click', (e) => {
 });
 
 /**
- * Broad CSS selector used as a fast pre-filter before extractUsername runs
- * the full href-regex + innerText check.
- * @type {string}
+ * Links currently inside the viewport (extended by the preload margin), as
+ * last reported by the IntersectionObserver.
+ * @type {WeakSet<Element>}
+ */
+const inView = new WeakSet();
+
+/**
+ * Feeds candidate links into processLink as they approach the viewport and
+ * re-ranks pending requests whenever links enter or leave it.
+ * Re-created by {@link startViewportObserver} when the preload margin changes.
+ * @type {IntersectionObserver|null}
+ */
+let viewportObserver = null;
+
+/**
+ * Bands around the vertical centre of the viewport, as IntersectionObserver
+ * root margins. A pending link crossing the edge of one fires an entry, so
+ * requests are re-ranked as their links move towards or away from the
+ * centre without any work on scroll events.
+ * @type {Array<string>}
+ */
+const PRIORITY_BANDS = ['0px', '-25% 0px', '-45% 0px'];
+
+/**
+ * One IntersectionObserver per {@link PRIORITY_BANDS} entry, watching the
+ * links in `waiting`. Re-created along with the viewport observer.
+ * @type {Array<IntersectionObserver>}
+ */
+let bandObservers = [];
+
+/**
+ * Starts or stops watching a link's position against the priority bands,
+ * while its request is pending.
+ *
+ * @param {Element} linkNode
+ * @param {boolean} on
+ * @returns {void}
  */
-const SEL = 'a[href*="/user/"]';
+const watchBands = (linkNode, on) => {
+  for (const observer of bandObservers) {
+    if (on) { observer.observe(linkNode); } else { observer.unobserve(linkNode); }
+  }
+};
 
 /**
- * Queries matching author links within root and processes the visible ones.
+ * Band observer callback: re-ranks pending requests when a link crossed a band.
+ *
+ * @returns {void}
+ */
+const onBandCrossed = () => {
+  if (settings.paused || !pageEnabled || waiting.size === 0) { return; }
+  updatePriorities();
+};
+
+/**
+ * IntersectionObserver callback: records which links are in view, starts
+ * processing those that just came into range, and re-ranks pending requests.
+ *
+ * @param {Array<IntersectionObserverEntry>} entries
+ * @returns {void}
+ */
+const onIntersection = (entries) => {
+  if (settings.paused || !pageEnabled) { return; }
+  for (const entry of entries) {
+    const linkNode = /** @type {HTMLAnchorElement} */ (entry.target);
+    if (!entry.isIntersecting) {
+      inView.delete(linkNode);
+      continue;
+    }
+    inView.add(linkNode);
+    processLink(linkNode);
+  }
+  if (waiting.size > 0) { updatePriorities(); }
+};
+
+/**
+ * Open shadow roots already handed to the mutation observer.
+ * @type {WeakSet<ShadowRoot>}
+ */
+const watchedShadowRoots = new WeakSet();
+
+/**
+ * Starts watching a shadow root for added nodes, as mutations inside it are
+ * not reported to the observer on the document.
+ *
+ * @param {ShadowRoot} shadowRoot
+ * @returns {void}
+ */
+const watchShadowRoot = (shadowRoot) => {
+  if (watchedShadowRoots.has(shadowRoot)) { return; }
+  watchedShadowRoots.add(shadowRoot);
+  observer.observe(shadowRoot, { childList: true, subtree: true });
+};
+
+/**
+ * Starts watching every not-yet-labelled author node within root, including
+ * those in open shadow roots, which are themselves watched for later additions.
+ * A labelled node the page has reused for another author is unlabelled first.
  *
  * @param {Document|Element} root
  * @param {boolean} [verbose=false]  Whether to log node counts to the console.
  * @returns {void}
  */
-const scan = (root, verbose = false) => {
-  if (settings.paused) { return; }
-  const links = root.querySelectorAll(SEL);
-  const visible = Array.from(links).filter(RUV.isVisible);
-  if (verbose) { console.log(`[RUV] scan: ${links.length} candidate(s), ${visible.length} visible`); }
-  visible.forEach((link) => processLink(link));
+const observeLinks = (root, verbose = false) => {
+  if (!viewportObserver) { return; }
+  pruneMentions();
+  const links = RUV.findAuthorNodes(root, settings, watchShadowRoot, claimMention);
+  for (const link of links) {
+    const last = rendered.get(link);
+    if (last && last.username !== RUV.getAuthor(link)) { unlabel(link); }
+    if (link.dataset.ruvDone !== 'true') { viewportObserver.observe(link); }
+  }
+  if (verbose) { console.log(`[RUV] observing ${links.length} candidate link(s)`); }
+};
+
+/**
+ * (Re)creates the IntersectionObserver with the current preload margin and
+ * observes every candidate link on the page. The observer reports each newly
+ * observed link once, so links already in view are processed straight away.
+ * The priority band observers are re-created too, watching the links still pending.
+ *
+ * @param {boolean} [verbose=false]
+ * @returns {void}
+ */
+const startViewportObserver = (verbose = false) => {
+  stopViewportObserver();
+  viewportObserver = new IntersectionObserver(onIntersection, {
+    rootMargin: `${settings.preloadMargin}px 0px`,
+  });
+  bandObservers = PRIORITY_BANDS.map((rootMargin) => new IntersectionObserver(onBandCrossed, { rootMargin }));
+  for (const linkNode of waiting.keys()) { watchBands(linkNode, true); }
+  observeLinks(document, verbose);
+};
+
+/**
+ * Stops watching links, e.g. while the extension is paused.
+ *
+ * @returns {void}
+ */
+const stopViewportObserver = () => {
+  viewportObserver?.disconnect();
+  viewportObserver = null;
+  bandObservers.forEach((observer) => observer.disconnect());
+  bandObservers = [];
+};
+
+/**
+ * Removes every badge row from the page and cancels this page's pending
+ * requests, forgetting what was rendered so that switching back on starts
+ * from the cache. Mention markup is undone too.
+ *
+ * @returns {void}
+ */
+const teardown = () => {
+  stopViewportObserver();
+  RUV.cancelUserData(Array.from(new Set(waiting.values())));
+  waiting.clear();
+  RUV.closePopover();
+  labelledLinks().forEach(unlabel);
+  mentionsShown.clear();
+  RUV.unwrapMentions();
+};
+
+/**
+ * Removes a link's badge row and forgets it was labelled.
+ *
+ * @param {Element} linkNode
+ * @returns {void}
+ */
+const unlabel = (linkNode) => {
+  RUV.removeLabels(linkNode);
+  delete linkNode.dataset.ruvDone;
+  rendered.delete(linkNode);
+  labelled.delete(linkNode);
+};
+
+/**
+ * Removes the rows of every badged u/ mention and the spans wrapped around
+ * plain-text ones, after mentions are switched off. Profile links that were
+ * mentions are badged as ordinary links by the next scan.
+ *
+ * @returns {void}
+ */
+const removeMentionRows = () => {
+  for (const linkNode of mentionsShown) {
+    waiting.delete(linkNode);
+    viewportObserver?.unobserve(linkNode);
+    watchBands(linkNode, false);
+    unlabel(linkNode);
+  }
+  mentionsShown.clear();
+  RUV.unwrapMentions();
+};
+
+/**
+ * Re-evaluates the site rules for the current URL and tears the badges down
+ * or rebuilds them when the result changes.
+ *
+ * @returns {void}
+ */
+const applySiteRules = () => {
+  const enabled = RUV.isEnabledOn(RUV.getPageContext(location.href), settings.siteRules);
+  if (enabled === pageEnabled) { return; }
+  pageEnabled = enabled;
+  console.log(`[RUV] ${enabled ? 'enabled' : 'disabled'} by site rules on ${location.pathname}`);
+  if (!enabled) {
+    teardown();
+  } else if (!settings.paused) {
+    startViewportObserver();
+  }
+};
+
+/**
+ * Applies the site rules if the URL changed since they were last evaluated.
+ * Called on history navigation and from the mutation observer, as in-page
+ * navigation on new Reddit replaces the content without a page load.
+ *
+ * @returns {void}
+ */
+const checkNavigation = () => {
+  if (location.href === currentHref) { return; }
+  currentHref = location.href;
+  pruneMentions();
+  applySiteRules();
 };
 
 /**
@@ -163,31 +589,37 @@ const debounce = (fn, ms) => {
   return () => { clearTimeout(timer); timer = setTimeout(fn, ms); };
 };
 
+/** Debounced {@link updatePriorities}, run after nodes are removed from the page. */
+const updatePrioritiesSoon = debounce(updatePriorities, 100);
+
 const observer = new MutationObserver((mutations) => {
-  if (settings.paused) { return; }
+  checkNavigation();
+  if (settings.paused || !pageEnabled) { return; }
   for (const mutation of mutations) {
+    if (mutation.removedNodes.length > 0 && waiting.size > 0) { updatePrioritiesSoon(); }
     for (const node of mutation.addedNodes) {
       if (node.nodeType !== Node.ELEMENT_NODE) { continue; }
-      if (node.matches?.(SEL) && RUV.isVisible(node)) {
-        processLink(/** @type {HTMLAnchorElement} */(node));
-      } else if (node.querySelectorAll) {
-        scan(node, false);
-      }
+      observeLinks(/** @type {Element} */(node));
     }
   }
 });
 
-window.addEventListener('scroll', debounce(() => scan(document, false), 50), { passive: true });
-window.addEventListener('resize', debounce(() => scan(document, false), 50), { passive: true });
-
 /**
  * Handles chrome.storage changes so the content script stays in sync with
  * the options page without requiring a page reload.
- * Colour changes are applied immediately by re-injecting the stylesheet.
- * Resuming from pause triggers a fresh scan for any links visible right now.
+ * Colour changes are applied immediately by re-injecting the stylesheet;
+ * category, watchlist, ignore-list and display-mode changes additionally
+ * rebuild every existing row, as do re-fetched cache entries and edited tags
+ * for their users.
+ * Pausing stops watching links; resuming, or changing the preload margin or
+ * mention settings, re-observes every link so those in view right now are
+ * processed. Switching mentions off removes their rows. Changed site rules
+ * are applied to the current page straight away.
  */
 chrome.storage.onChanged.addListener((changes, area) => {
   if (area !== 'local') { return; }
+  rerenderChangedUsers(changes);
+  rerenderTaggedUsers(changes);
   if (!changes[RUV.SETTINGS_KEY]) { return; }
 
   const newSettings = changes[RUV.SETTINGS_KEY].newValue;
@@ -199,32 +631,83 @@ chrome.storage.onChanged.addListener((changes, area) => {
     merged.subColor !== settings.subColor ||
     merged.countColor !== settings.countColor ||
     merged.subTextColor !== settings.subTextColor ||
-    merged.countTextColor !== settings.countTextColor;
+    merged.countTextColor !== settings.countTextColor ||
+    merged.colorBySubreddit !== settings.colorBySubreddit ||
+    JSON.stringify(merged.subColors) !== JSON.stringify(settings.subColors);
+
+  const categoriesChanged =
+    JSON.stringify(merged.categories) !== JSON.stringify(settings.categories);
+
+  const watchlistChanged =
+    JSON.stringify(merged.watchlist) !== JSON.stringify(settings.watchlist);
+
+  const ignoreChanged =
+    JSON.stringify(merged.ignoreSubs) !== JSON.stringify(settings.ignoreSubs);
+
+  const displayChanged =
+    merged.countBreakdown !== settings.countBreakdown ||
+    merged.trendWindow !== settings.trendWindow ||
+    merged.popoverTrigger !== settings.popoverTrigger ||
+    merged.countDisplay !== settings.countDisplay ||
+    merged.humanizeCounts !== settings.humanizeCounts ||
+    merged.pillLayout !== settings.pillLayout ||
+    merged.compactPills !== settings.compactPills ||
+    merged.wheelScroll !== settings.wheelScroll ||
+    merged.cacheDays !== settings.cacheDays;
+
+  const themeChanged = merged.theme !== settings.theme;
+
+  const mentionsChanged =
+    merged.annotateMentions !== settings.annotateMentions ||
+    merged.mentionLimit !== settings.mentionLimit;
+
+  const rulesChanged =
+    JSON.stringify(merged.siteRules) !== JSON.stringify(settings.siteRules);
 
   const wereJustUnpaused = settings.paused && !merged.paused;
+  const wereJustPaused = !settings.paused && merged.paused;
+  const marginChanged = merged.preloadMargin !== settings.preloadMargin;
 
   settings = merged;
 
-  if (colorsChanged) { RUV.injectStyles(settings); }
-  if (wereJustUnpaused) { scan(document, false); }
+  if (colorsChanged || categoriesChanged) { RUV.injectStyles(settings); }
+  if (themeChanged) { RUV.applyTheme(settings.theme); }
+  if (categoriesChanged || watchlistChanged || ignoreChanged || displayChanged) { rerenderAll(); }
+  if (rulesChanged) { applySiteRules(); }
+  if (mentionsChanged && !settings.annotateMentions) { removeMentionRows(); }
+  if (wereJustPaused) { stopViewportObserver(); }
+  if (pageEnabled && (wereJustUnpaused || ((marginChanged || mentionsChanged) && !settings.paused))) {
+    startViewportObserver();
+  }
 });
 
 /**
- * Entry point: loads settings, injects styles, sets up the tooltip overlay,
- * runs the first scan, and starts the mutation observer.
+ * Entry point: loads settings, follows the page's light or dark theme, injects
+ * styles, sets up the tooltip and popover overlays and keyboard navigation,
+ * starts watching the links already on the page (unless paused or switched off
+ * here by a site rule), and starts the mutation observer that feeds it links
+ * added later and notices in-page navigation.
  *
  * @returns {Promise<void>}
  */
 const init = async () => {
-  settings = await RUV.getSettings();
+  [settings, tags] = await Promise.all([RUV.getSettings(), RUV.getAllUserTags()]);
+  RUV.applyTheme(settings.theme);
+  RUV.watchTheme(() => RUV.applyTheme(settings.theme));
   RUV.injectStyles(settings);
   RUV.initTooltip();
-
-  if (!settings.paused) {
-    scan(document, true);
+  RUV.initPopover();
+  RUV.initKeyboard();
+
+  pageEnabled = RUV.isEnabledOn(RUV.getPageContext(location.href), settings.siteRules);
+  if (!pageEnabled) {
+    console.log(`[RUV] disabled by site rules on ${location.pathname}`);
+  } else if (!settings.paused) {
+    startViewportObserver(true);
   }
 
   observer.observe(document.body, { childList: true, subtree: true });
+  window.addEventListener('popstate', checkNavigation);
 };
 
 if (document.readyState === 'loading') {
@@ -1,7 +1,10 @@
 /**
  * Reddit User Vibe — Options Page Script
  * Loads, displays, and saves extension settings via chrome.storage.local.
- * Depends on config.js being loaded first (provides RUV.DEFAULTS, RUV.SETTINGS_KEY).
+ * Depends on config.js being loaded first (provides RUV.DEFAULTS, RUV.SETTINGS_KEY),
+ * colors.js (colour presets and contrast checks),
+ * storage.js (cache helpers such as RUV.clearAllUserCache) and client.js
+ * (RUV.refreshUserData, used by the cache browser).
  */
 
 'use strict';
@@ -10,7 +13,51 @@ const $ = (id) => document.getElementById(id);
 
 const elLimit = $('limit');
 const elAfter = $('after');
+const elTrendWindow = $('trend-window');
+const elProvider = $('provider');
+const elProviderUrl = $('provider-url');
+const elCheckAccountStatus = $('check-account-status');
+const elProviderHint = $('provider-hint');
+const elMaxConcurrent = $('max-concurrent');
+const elPreloadMargin = $('preload-margin');
 const elCacheDays = $('cache-days');
+const elServeStale = $('serve-stale');
+const elStaleMaxDays = $('stale-max-days');
+const elCacheMaxEntries = $('cache-max-entries');
+const elCacheMaxKB = $('cache-max-kb');
+const elCacheStats = $('cache-stats');
+const elCacheClean = $('cache-clean-btn');
+const elCacheSearch = $('cache-search');
+const elCacheSelectAll = $('cache-select-all');
+const elCacheRows = $('cache-rows');
+const elCacheNote = $('cache-table-note');
+const elBulkRefresh = $('cache-bulk-refresh');
+const elBulkPin = $('cache-bulk-pin');
+const elBulkUnpin = $('cache-bulk-unpin');
+const elBulkDelete = $('cache-bulk-delete');
+const elExportCache = $('export-cache');
+const elImportMode = $('import-mode');
+const elExport = $('export-btn');
+const elImport = $('import-btn');
+const elImportFile = $('import-file');
+const elImportReport = $('import-report');
+const elIgnoreSubs = $('ignore-subs');
+const elOverfetch = $('overfetch');
+const elCountBreakdown = $('count-breakdown');
+const elPopoverTrigger = $('popover-trigger');
+const elCountDisplay = $('count-display');
+const elHumanizeCounts = $('humanize-counts');
+const elPillLayout = $('pill-layout');
+const elCompactPills = $('compact-pills');
+const elWheelScroll = $('wheel-scroll');
+const elTheme = $('theme');
+const elAnnotateMentions = $('annotate-mentions');
+const elMentionLimit = $('mention-limit');
+const elColorPreset = $('color-preset');
+const elContrastReport = $('contrast-report');
+const elColorBySub = $('color-by-subreddit');
+const elSubColorList = $('sub-color-list');
+const elAddSubColor = $('add-sub-color-btn');
 const elSubColor = $('sub-color');
 const elSubColorHex = $('sub-color-hex');
 const elSubText = $('sub-text-color');
@@ -23,6 +70,19 @@ const elToggle = $('toggle-pause');
 const elSave = $('save-btn');
 const elReset = $('reset-btn');
 const elStatus = $('status-msg');
+const elCategoryList = $('category-list');
+const elAddCategory = $('add-category-btn');
+const elWatchList = $('watch-list');
+const elAddWatch = $('add-watch-btn');
+const elRuleList = $('rule-list');
+const elAddRule = $('add-rule-btn');
+const elTagNewUser = $('tag-new-user');
+const elTagNewTag = $('tag-new-tag');
+const elTagNewColor = $('tag-new-color');
+const elTagNewNote = $('tag-new-note');
+const elAddTag = $('add-tag-btn');
+const elTagList = $('tag-list');
+const elTagNote = $('tag-list-note');
 
 // Preview pill elements
 const elPrevSub = $('prev-sub');
@@ -34,6 +94,10 @@ const elPrevCnt2 = $('prev-cnt2');
 let savedLimit = RUV.DEFAULTS.limit;
 /** @type {string} API after value at the time of the last save, for change detection. */
 let savedAfter = RUV.DEFAULTS.after;
+/** @type {number} Effective fetch limit at the time of the last save, for change detection. */
+let savedFetchLimit = RUV.getFetchLimit(RUV.DEFAULTS);
+/** @type {string} Provider and base URL at the time of the last save, for change detection. */
+let savedSource = `${RUV.DEFAULTS.provider} ${RUV.resolveProviderUrl(RUV.DEFAULTS)}`;
 
 /**
  * Loads saved settings from chrome.storage.local, merging with defaults.
@@ -94,24 +158,488 @@ const bindColorPair = (pickerEl, hexEl, onUpdate) => {
 };
 
 /**
- * Reads the current colour inputs and updates the live preview pills.
+ * Fills the preset dropdown from RUV.COLOR_PRESETS, plus a "Custom" entry
+ * that is shown whenever the pickers match no preset.
+ */
+const renderColorPresets = () => {
+    const custom = document.createElement('option');
+    custom.value = '';
+    custom.textContent = 'Custom';
+    elColorPreset.appendChild(custom);
+    for (const [id, preset] of Object.entries(RUV.COLOR_PRESETS)) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = preset.label;
+        elColorPreset.appendChild(option);
+    }
+};
+
+/**
+ * Copies the chosen preset's colours into the four colour pickers.
+ */
+const applyColorPreset = () => {
+    const preset = RUV.COLOR_PRESETS[elColorPreset.value];
+    if (!preset) { return; }
+    for (const [picker, hex, key] of [
+        [elSubColor, elSubColorHex, 'subColor'],
+        [elSubText, elSubTextHex, 'subTextColor'],
+        [elCntColor, elCntColorHex, 'countColor'],
+        [elCntText, elCntTextHex, 'countTextColor'],
+    ]) {
+        picker.value = preset[key];
+        hex.value = preset[key];
+    }
+    updatePreview();
+};
+
+/**
+ * Lists the WCAG contrast ratio of both halves of a pill, flagging pairs
+ * below the AA minimum for small text. Colours derived per subreddit always
+ * reach AA, so only the count half is checked in that mode.
+ */
+const updateContrastReport = () => {
+    const pairs = [
+        ['Subreddit', elSubText.value, elSubColor.value],
+        ['Count', elCntText.value, elCntColor.value],
+    ].slice(elColorBySub.checked ? 1 : 0);
+    elContrastReport.replaceChildren(...pairs.map(([name, text, background]) => {
+        const ratio = RUV.contrastRatio(text, background);
+        const item = document.createElement('li');
+        item.textContent = `${name} contrast ${ratio.toFixed(1)}:1 \u00b7 ${RUV.contrastGrade(ratio)}`;
+        if (ratio < RUV.WCAG_RATIOS.aa) {
+            item.className = 'contrast-fail';
+            item.textContent += ` (WCAG AA needs ${RUV.WCAG_RATIOS.aa}:1)`;
+        }
+        return item;
+    }));
+};
+
+/** @type {number} Total activity of the imaginary user in the preview, for shares. */
+const PREVIEW_TOTAL = 2000;
+
+/**
+ * Reads the current colour and count display inputs and updates the live
+ * preview pills, the preset dropdown and the contrast report.
  */
 const updatePreview = () => {
     const subBg = elSubColor.value;
     const subText = elSubText.value;
     const cntBg = elCntColor.value;
     const cntText = elCntText.value;
+    elColorPreset.value = RUV.findColorPreset({
+        subColor: subBg, subTextColor: subText, countColor: cntBg, countTextColor: cntText,
+    });
+    updateContrastReport();
 
+    const overrides = new Map(readSubColors().map((c) => [RUV.normalizeSubName(c.subreddit), c.color]));
     for (const el of [elPrevSub, elPrevSub2]) {
-        el.style.background = subBg;
-        el.style.color = subText;
+        const fixed = overrides.get(RUV.normalizeSubName(el.textContent))
+            || (elColorBySub.checked ? RUV.subredditColor(el.textContent) : null);
+        el.style.background = fixed || subBg;
+        el.style.color = fixed ? RUV.textColorFor(fixed) : subText;
     }
     for (const el of [elPrevCnt, elPrevCnt2]) {
         el.style.background = cntBg;
         el.style.color = cntText;
+
+        const count = Number(el.dataset.count);
+        if (elCountDisplay.value === 'bar') {
+            const bar = document.createElement('span');
+            bar.className = 'p-bar';
+            const fill = document.createElement('span');
+            fill.className = 'p-bar-fill';
+            fill.style.width = `${(count / PREVIEW_TOTAL) * 100}%`;
+            fill.style.background = cntText;
+            bar.appendChild(fill);
+            el.replaceChildren(bar);
+        } else {
+            el.textContent = elCountDisplay.value === 'percent'
+                ? RUV.formatShare(count / PREVIEW_TOTAL)
+                : RUV.formatCount(count, elHumanizeCounts.checked);
+        }
+    }
+};
+
+/**
+ * Creates the × button that removes an editor row from its list.
+ *
+ * @param {HTMLElement} row
+ * @param {string}      title  Button tooltip.
+ * @returns {HTMLButtonElement}
+ */
+const makeRemoveButton = (row, title) => {
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'icon-btn';
+    remove.title = title;
+    remove.textContent = '\u00d7'; // ×
+    remove.addEventListener('click', () => row.remove());
+    return remove;
+};
+
+/**
+ * Appends one editable category row to the category list.
+ *
+ * @param {RUVCategory} cat
+ */
+const addCategoryRow = (cat) => {
+    const row = document.createElement('div');
+    row.className = 'editor-row category-row';
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'cat-name';
+    name.placeholder = 'Name';
+    name.value = cat.name;
+
+    const patterns = document.createElement('input');
+    patterns.type = 'text';
+    patterns.className = 'cat-patterns';
+    patterns.placeholder = 'pcgaming, *crypto*';
+    patterns.value = cat.patterns.join(', ');
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.className = 'cat-color';
+    color.title = 'Background';
+    color.value = cat.color;
+
+    const textColor = document.createElement('input');
+    textColor.type = 'color';
+    textColor.className = 'cat-text-color';
+    textColor.title = 'Text';
+    textColor.value = cat.textColor;
+
+    row.append(name, patterns, color, textColor, makeRemoveButton(row, 'Remove category'));
+    elCategoryList.appendChild(row);
+};
+
+/**
+ * Replaces the category list contents with the given categories.
+ *
+ * @param {Array<RUVCategory>} categories
+ */
+const renderCategories = (categories) => {
+    elCategoryList.textContent = '';
+    categories.forEach(addCategoryRow);
+};
+
+/**
+ * Reads the category rows into RUVCategory objects, dropping rows that have
+ * no name or no patterns.
+ *
+ * @returns {Array<RUVCategory>}
+ */
+const readCategories = () => {
+    return Array.from(elCategoryList.querySelectorAll('.category-row')).map((row) => ({
+        name: row.querySelector('.cat-name').value.trim(),
+        patterns: row.querySelector('.cat-patterns').value.split(',').map((p) => p.trim()).filter(Boolean),
+        color: row.querySelector('.cat-color').value,
+        textColor: row.querySelector('.cat-text-color').value,
+    })).filter((cat) => cat.name && cat.patterns.length > 0);
+};
+
+elAddCategory.addEventListener('click', () => {
+    addCategoryRow({ name: '', patterns: [], color: '#0079d3', textColor: '#ffffff' });
+});
+
+/**
+ * Appends one editable subreddit colour row. A new row follows the colour
+ * derived from the typed name until a colour is picked by hand.
+ *
+ * @param {RUVSubColor} entry
+ */
+const addSubColorRow = (entry) => {
+    const row = document.createElement('div');
+    row.className = 'editor-row sub-color-row';
+
+    const sub = document.createElement('input');
+    sub.type = 'text';
+    sub.className = 'sub-color-name';
+    sub.placeholder = 'Subreddit';
+    sub.value = entry.subreddit;
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.className = 'sub-color-value';
+    color.title = 'Background';
+    color.value = entry.color;
+
+    let picked = !!entry.subreddit;
+    sub.addEventListener('input', () => {
+        const name = RUV.normalizeSubName(sub.value);
+        if (!picked && name) { color.value = RUV.subredditColor(name); }
+        updatePreview();
+    });
+    color.addEventListener('input', () => {
+        picked = true;
+        updatePreview();
+    });
+
+    const remove = makeRemoveButton(row, 'Remove subreddit colour');
+    remove.addEventListener('click', updatePreview);
+    row.append(sub, color, remove);
+    elSubColorList.appendChild(row);
+};
+
+/**
+ * Replaces the subreddit colour list contents with the given entries.
+ *
+ * @param {Array<RUVSubColor>} subColors
+ */
+const renderSubColors = (subColors) => {
+    elSubColorList.textContent = '';
+    subColors.forEach(addSubColorRow);
+};
+
+/**
+ * Reads the subreddit colour rows, dropping rows without a valid name.
+ *
+ * @returns {Array<RUVSubColor>}
+ */
+const readSubColors = () => {
+    return Array.from(elSubColorList.querySelectorAll('.sub-color-row')).map((row) => ({
+        subreddit: RUV.normalizeSubName(row.querySelector('.sub-color-name').value),
+        color: row.querySelector('.sub-color-value').value,
+    })).filter((c) => /^[a-z0-9_]+$/.test(c.subreddit));
+};
+
+elAddSubColor.addEventListener('click', () => {
+    addSubColorRow({ subreddit: '', color: RUV.DEFAULT_TAG_COLOR });
+});
+
+/**
+ * Appends one editable watchlist row to the watchlist.
+ *
+ * @param {RUVWatchEntry} entry
+ */
+const addWatchRow = (entry) => {
+    const row = document.createElement('div');
+    row.className = 'editor-row watch-row';
+
+    const sub = document.createElement('input');
+    sub.type = 'text';
+    sub.className = 'watch-sub';
+    sub.placeholder = 'Subreddit';
+    sub.value = entry.subreddit;
+
+    const minCount = document.createElement('input');
+    minCount.type = 'number';
+    minCount.className = 'watch-min';
+    minCount.min = '1';
+    minCount.title = 'Minimum posts/comments';
+    minCount.value = String(entry.minCount);
+
+    const severity = document.createElement('select');
+    severity.className = 'watch-severity';
+    for (const level of RUV.WATCH_SEVERITIES) {
+        const opt = document.createElement('option');
+        opt.value = level;
+        opt.textContent = level[0].toUpperCase() + level.slice(1);
+        severity.appendChild(opt);
+    }
+    severity.value = entry.severity;
+
+    row.append(sub, minCount, severity, makeRemoveButton(row, 'Remove from watchlist'));
+    elWatchList.appendChild(row);
+};
+
+/**
+ * Replaces the watchlist contents with the given entries.
+ *
+ * @param {Array<RUVWatchEntry>} watchlist
+ */
+const renderWatchlist = (watchlist) => {
+    elWatchList.textContent = '';
+    watchlist.forEach(addWatchRow);
+};
+
+/**
+ * Reads the watchlist rows into RUVWatchEntry objects, dropping rows without
+ * a subreddit.
+ *
+ * @returns {Array<RUVWatchEntry>}
+ */
+const readWatchlist = () => {
+    return Array.from(elWatchList.querySelectorAll('.watch-row')).map((row) => ({
+        subreddit: row.querySelector('.watch-sub').value.trim().replace(/^\/?r\//i, ''),
+        minCount: Math.max(1, parseInt(row.querySelector('.watch-min').value, 10) || 1),
+        severity: row.querySelector('.watch-severity').value,
+    })).filter((entry) => entry.subreddit);
+};
+
+elAddWatch.addEventListener('click', () => {
+    addWatchRow({ subreddit: '', minCount: 1, severity: 'medium' });
+});
+
+/**
+ * Creates a <select> with the given value → label options.
+ *
+ * @param {string}                 className
+ * @param {Array<[string, string]>} options
+ * @param {string}                 value
+ * @returns {HTMLSelectElement}
+ */
+const makeSelect = (className, options, value) => {
+    const select = document.createElement('select');
+    select.className = className;
+    for (const [optValue, label] of options) {
+        const opt = document.createElement('option');
+        opt.value = optValue;
+        opt.textContent = label;
+        select.appendChild(opt);
     }
+    select.value = value;
+    return select;
+};
+
+/**
+ * Appends one editable site rule row to the rule list.
+ *
+ * @param {RUVSiteRule} rule
+ */
+const addRuleRow = (rule) => {
+    const row = document.createElement('div');
+    row.className = 'editor-row rule-row';
+
+    const action = makeSelect('rule-action', [['deny', 'Off'], ['allow', 'Only on']], rule.action);
+
+    const sub = document.createElement('input');
+    sub.type = 'text';
+    sub.className = 'rule-sub';
+    sub.placeholder = 'Any subreddit';
+    sub.value = rule.subreddit;
+
+    const pageType = makeSelect('rule-page', [['', 'Any page'], ...Object.entries(RUV.PAGE_TYPES)], rule.pageType);
+    const host = makeSelect('rule-host', [['', 'Both sites'], ['www', 'New Reddit'], ['old', 'Old Reddit']], rule.host);
+
+    row.append(action, sub, pageType, host, makeRemoveButton(row, 'Remove rule'));
+    elRuleList.appendChild(row);
 };
 
+/**
+ * Replaces the rule list contents with the given rules.
+ *
+ * @param {Array<RUVSiteRule>} rules
+ */
+const renderSiteRules = (rules) => {
+    elRuleList.textContent = '';
+    rules.forEach(addRuleRow);
+};
+
+/**
+ * Reads the rule rows into RUVSiteRule objects.
+ *
+ * @returns {Array<RUVSiteRule>}
+ */
+const readSiteRules = () => {
+    return Array.from(elRuleList.querySelectorAll('.rule-row')).map((row) => ({
+        action: row.querySelector('.rule-action').value,
+        subreddit: row.querySelector('.rule-sub').value.trim().replace(/^\/?r\//i, ''),
+        pageType: row.querySelector('.rule-page').value,
+        host: row.querySelector('.rule-host').value,
+    }));
+};
+
+elAddRule.addEventListener('click', () => {
+    addRuleRow({ action: 'deny', subreddit: '', pageType: '', host: '' });
+});
+
+/**
+ * Appends one user's tag to the tag list. Unlike the category and watchlist
+ * rows, edits are written to storage as soon as a field changes.
+ *
+ * @param {RUVUserTag} tag
+ */
+const addTagRow = (tag) => {
+    const row = document.createElement('div');
+    row.className = 'editor-row tag-row';
+
+    const user = document.createElement('a');
+    user.className = 'tag-user';
+    user.href = `https://www.reddit.com/user/${encodeURIComponent(tag.username)}/`;
+    user.target = '_blank';
+    user.rel = 'noopener';
+    user.textContent = `u/${tag.username}`;
+    user.title = `Last edited ${new Date(tag.updatedAt).toLocaleString()}`;
+
+    const text = document.createElement('input');
+    text.type = 'text';
+    text.className = 'tag-text';
+    text.placeholder = 'Tag';
+    text.maxLength = 40;
+    text.value = tag.tag;
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.title = 'Tag colour';
+    color.value = tag.color;
+
+    const note = document.createElement('input');
+    note.type = 'text';
+    note.className = 'tag-note';
+    note.placeholder = 'Note';
+    note.maxLength = 500;
+    note.value = tag.note;
+
+    const save = async () => {
+        const saved = await RUV.setUserTag(tag.username, { tag: text.value, color: color.value, note: note.value });
+        if (!saved) { row.remove(); }
+        showStatus(saved ? `Saved tag for ${tag.username}.` : `Removed tag for ${tag.username}.`);
+    };
+    row.addEventListener('change', save);
+
+    const remove = makeRemoveButton(row, 'Remove tag');
+    remove.addEventListener('click', async () => {
+        await RUV.setUserTag(tag.username, { tag: '', color: '', note: '' });
+        showStatus(`Removed tag for ${tag.username}.`);
+    });
+
+    row.append(user, text, color, note, remove);
+    elTagList.appendChild(row);
+};
+
+/**
+ * Reloads the tag list from storage, sorted by username. Skipped while a
+ * field in the list has focus, so a save from one field does not rebuild the
+ * row being typed in; the list catches up on the next change.
+ *
+ * @returns {Promise<void>}
+ */
+const renderTags = async () => {
+    if (elTagList.contains(document.activeElement)) { return; }
+    const tags = Array.from((await RUV.getAllUserTags()).values())
+        .sort((a, b) => a.username.localeCompare(b.username, undefined, { sensitivity: 'base' }));
+    elTagList.textContent = '';
+    tags.forEach(addTagRow);
+    elTagNote.textContent = tags.length === 0 ? 'No tags yet.' : '';
+};
+
+elAddTag.addEventListener('click', async () => {
+    const username = elTagNewUser.value.trim().replace(/^\/?u(ser)?\//i, '');
+    if (!username) {
+        showStatus('Enter a username to tag.');
+        return;
+    }
+    const saved = await RUV.setUserTag(username, {
+        tag: elTagNewTag.value,
+        color: elTagNewColor.value,
+        note: elTagNewNote.value,
+    });
+    if (!saved) {
+        showStatus('Enter a tag or a note.');
+        return;
+    }
+    elTagNewUser.value = elTagNewTag.value = elTagNewNote.value = '';
+    showStatus(`Tagged ${username}.`);
+});
+
+// Tags edited on a Reddit tab, or saved above, show up in the list
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') { return; }
+    if (Object.keys(changes).some((key) => key.startsWith(RUV.TAG_KEY_PREFIX))) { renderTags(); }
+});
+
 /** @type {boolean} Tracks in-memory paused state before saving. */
 let paused = false;
 
@@ -133,6 +661,83 @@ elToggle.addEventListener('click', () => {
     refreshToggleBtn();
 });
 
+/**
+ * Shows the selected provider's default base URL as the placeholder and its
+ * hint below the label.
+ */
+const updateProviderHint = () => {
+    const provider = RUV.getProvider(elProvider.value);
+    elProviderUrl.placeholder = provider.defaultBaseUrl;
+    elProviderHint.textContent = `${provider.hint}. Leave empty for the default.`;
+};
+
+/**
+ * Asks for access to a custom http(s) base URL's origin. Resolves to true
+ * when no permission is needed or the user granted it.
+ *
+ * @param {string} baseUrl  Configured base URL; empty or extension paths need nothing.
+ * @returns {Promise<boolean>}
+ */
+const requestProviderPermission = (baseUrl) => {
+    if (!/^https?:/i.test(baseUrl)) { return Promise.resolve(true); }
+    const origins = [`${new URL(baseUrl).origin}/*`];
+    return new Promise((resolve) => {
+        try {
+            chrome.permissions.request({ origins }, (granted) => resolve(!!granted));
+        } catch {
+            resolve(false);
+        }
+    });
+};
+
+/**
+ * Checks, without prompting, whether the extension may already reach a
+ * custom http(s) base URL's origin.
+ *
+ * @param {string} baseUrl  Configured base URL; empty or extension paths need nothing.
+ * @returns {Promise<boolean>}
+ */
+const hasProviderPermission = (baseUrl) => {
+    if (!/^https?:/i.test(baseUrl)) { return Promise.resolve(true); }
+    const origins = [`${new URL(baseUrl).origin}/*`];
+    return new Promise((resolve) => {
+        try {
+            chrome.permissions.contains({ origins }, (granted) => resolve(!!granted));
+        } catch {
+            resolve(false);
+        }
+    });
+};
+
+/**
+ * Whether settings fetch different data than the last saved ones, so the
+ * cached users no longer match them.
+ *
+ * @param {RUVSettings} s
+ * @returns {boolean}
+ */
+const isApiChange = (s) => {
+    return s.limit !== savedLimit || s.after !== savedAfter
+        || RUV.getFetchLimit(s) !== savedFetchLimit
+        || `${s.provider} ${RUV.resolveProviderUrl(s)}` !== savedSource;
+};
+
+/**
+ * Records settings as the last saved ones for {@link isApiChange}.
+ * @param {RUVSettings} s
+ */
+const rememberApiSettings = (s) => {
+    savedLimit = s.limit;
+    savedAfter = s.after;
+    savedFetchLimit = RUV.getFetchLimit(s);
+    savedSource = `${s.provider} ${RUV.resolveProviderUrl(s)}`;
+};
+
+for (const [id, provider] of Object.entries(RUV.PROVIDERS)) {
+    elProvider.appendChild(new Option(provider.label, id));
+}
+elProvider.addEventListener('change', updateProviderHint);
+
 /**
  * Populate form from settings
  * @param {RUVSettings} s
@@ -140,7 +745,31 @@ elToggle.addEventListener('click', () => {
 const applyToForm = (s) => {
     elLimit.value = s.limit;
     elAfter.value = s.after;
+    elTrendWindow.value = s.trendWindow;
+    elProvider.value = s.provider in RUV.PROVIDERS ? s.provider : RUV.DEFAULTS.provider;
+    elProviderUrl.value = s.providerBaseUrl;
+    elCheckAccountStatus.checked = s.checkAccountStatus;
+    updateProviderHint();
+    elMaxConcurrent.value = s.maxConcurrentFetches;
+    elPreloadMargin.value = s.preloadMargin;
     elCacheDays.value = s.cacheDays;
+    elServeStale.checked = s.serveStale;
+    elStaleMaxDays.value = s.staleMaxDays;
+    elCacheMaxEntries.value = s.cacheMaxEntries;
+    elCacheMaxKB.value = s.cacheMaxKB;
+    elIgnoreSubs.value = s.ignoreSubs.join(', ');
+    elOverfetch.checked = s.overfetch;
+    elCountBreakdown.value = s.countBreakdown;
+    elPopoverTrigger.value = s.popoverTrigger;
+    elCountDisplay.value = s.countDisplay;
+    elHumanizeCounts.checked = s.humanizeCounts;
+    elPillLayout.value = s.pillLayout;
+    elCompactPills.value = s.compactPills;
+    elWheelScroll.checked = s.wheelScroll;
+    elTheme.value = s.theme;
+    elAnnotateMentions.checked = s.annotateMentions;
+    elMentionLimit.value = s.mentionLimit;
+    elColorBySub.checked = s.colorBySubreddit;
 
     elSubColor.value = s.subColor;
     elSubColorHex.value = s.subColor;
@@ -151,9 +780,13 @@ const applyToForm = (s) => {
     elCntText.value = s.countTextColor;
     elCntTextHex.value = s.countTextColor;
 
+    renderCategories(s.categories);
+    renderSubColors(s.subColors);
+    renderWatchlist(s.watchlist);
+    renderSiteRules(s.siteRules);
+
     paused = s.paused;
-    savedLimit = s.limit;
-    savedAfter = s.after;
+    rememberApiSettings(s);
     refreshToggleBtn();
     updatePreview();
 };
@@ -167,12 +800,39 @@ const readFromForm = () => {
     return {
         limit,
         after: elAfter.value,
+        trendWindow: elTrendWindow.value,
+        provider: elProvider.value,
+        providerBaseUrl: elProviderUrl.value.trim(),
+        checkAccountStatus: elCheckAccountStatus.checked,
+        maxConcurrentFetches: parseInt(elMaxConcurrent.value, 10) || RUV.DEFAULTS.maxConcurrentFetches,
+        preloadMargin: parseInt(elPreloadMargin.value, 10) || 0,
         cacheDays: parseInt(elCacheDays.value, 10) || RUV.DEFAULTS.cacheDays,
+        serveStale: elServeStale.checked,
+        staleMaxDays: parseInt(elStaleMaxDays.value, 10) || RUV.DEFAULTS.staleMaxDays,
+        cacheMaxEntries: parseInt(elCacheMaxEntries.value, 10) || 0,
+        cacheMaxKB: parseInt(elCacheMaxKB.value, 10) || 0,
         subColor: elSubColor.value,
         subTextColor: elSubText.value,
         countColor: elCntColor.value,
         countTextColor: elCntText.value,
         paused,
+        categories: readCategories(),
+        watchlist: readWatchlist(),
+        siteRules: readSiteRules(),
+        ignoreSubs: elIgnoreSubs.value.split(',').map((p) => p.trim()).filter(Boolean),
+        overfetch: elOverfetch.checked,
+        countBreakdown: elCountBreakdown.value,
+        popoverTrigger: elPopoverTrigger.value,
+        countDisplay: elCountDisplay.value,
+        humanizeCounts: elHumanizeCounts.checked,
+        pillLayout: elPillLayout.value,
+        compactPills: Math.max(1, Math.min(100, parseInt(elCompactPills.value, 10) || RUV.DEFAULTS.compactPills)),
+        wheelScroll: elWheelScroll.checked,
+        theme: elTheme.value,
+        annotateMentions: elAnnotateMentions.checked,
+        mentionLimit: Math.max(1, Math.min(500, parseInt(elMentionLimit.value, 10) || RUV.DEFAULTS.mentionLimit)),
+        colorBySubreddit: elColorBySub.checked,
+        subColors: readSubColors(),
     };
 };
 
@@ -190,27 +850,378 @@ const showStatus = (text) => {
     statusTimer = setTimeout(() => elStatus.classList.add('hidden'), 2000);
 };
 
+/**
+ * Formats a byte count as a short human-readable size (e.g. "1.4 MB").
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+const formatBytes = (bytes) => {
+    if (bytes < 1024) { return `${bytes} B`; }
+    if (bytes < 1024 * 1024) { return `${(bytes / 1024).toFixed(1)} KB`; }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Reads the current cache size and shows it in the Cache section.
+ *
+ * @returns {Promise<void>}
+ */
+const refreshCacheStats = async () => {
+    const { entries, bytes } = await RUV.getCacheStats();
+    elCacheStats.textContent = `${entries.toLocaleString()} user${entries === 1 ? '' : 's'} \u00b7 ${formatBytes(bytes)}`;
+};
+
+/** @type {number} Maximum number of rows rendered in the cache browser at once. */
+const CACHE_TABLE_MAX_ROWS = 200;
+
+/** @type {string} Status text after RUV.clearAllUserCache, which spares pinned users. */
+const CACHE_CLEARED = 'Cache cleared; pinned users are kept and refetched.';
+
+/**
+ * Snapshot of the cache shown in the cache browser, newest fetch first.
+ * @type {Array<{ username: string, entry: RUVCacheEntry, bytes: number }>}
+ */
+let cacheRows = [];
+
+/** @type {Set<string>} Usernames currently ticked in the cache browser. */
+const selectedUsers = new Set();
+
+/**
+ * Returns the cache rows matching the search box: by username, or by any
+ * subreddit in the user's data.
+ *
+ * @returns {Array<{ username: string, entry: RUVCacheEntry, bytes: number }>}
+ */
+const filterCacheRows = () => {
+    const q = elCacheSearch.value.trim().toLowerCase().replace(/^\/?(u|r)\//, '');
+    if (!q) { return cacheRows; }
+    return cacheRows.filter(({ username, entry }) =>
+        username.toLowerCase().includes(q)
+        || (entry.data || []).some((d) => d.subreddit.toLowerCase().includes(q)));
+};
+
+/**
+ * Creates a small action button for a cache browser row.
+ *
+ * @param {string} action    Action name handled by runCacheAction.
+ * @param {string} username
+ * @param {string} label     Button text.
+ * @param {string} title     Button tooltip.
+ * @returns {HTMLButtonElement}
+ */
+const makeCacheActionButton = (action, username, label, title) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'icon-btn';
+    btn.dataset.action = action;
+    btn.dataset.user = username;
+    btn.title = title;
+    btn.textContent = label;
+    return btn;
+};
+
+/**
+ * Enables the bulk action buttons when anything is selected and syncs the
+ * select-all checkbox with the visible rows.
+ */
+const updateBulkButtons = () => {
+    const none = selectedUsers.size === 0;
+    for (const btn of [elBulkRefresh, elBulkPin, elBulkUnpin, elBulkDelete]) { btn.disabled = none; }
+    const shown = Array.from(elCacheRows.querySelectorAll('input[type="checkbox"]'));
+    elCacheSelectAll.checked = shown.length > 0 && shown.every((c) => c.checked);
+};
+
+/**
+ * Renders the filtered cache rows into the cache browser table.
+ */
+const renderCacheTable = () => {
+    const now = Date.now();
+    const matches = filterCacheRows();
+    elCacheRows.textContent = '';
+
+    for (const { username, entry, bytes } of matches.slice(0, CACHE_TABLE_MAX_ROWS)) {
+        const tr = document.createElement('tr');
+
+        const tdSelect = document.createElement('td');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.user = username;
+        checkbox.checked = selectedUsers.has(username);
+        tdSelect.appendChild(checkbox);
+
+        const tdUser = document.createElement('td');
+        tdUser.textContent = username;
+        const subs = document.createElement('small');
+        const status = RUV.entryStatus(entry);
+        const top = (entry.data || []).slice(0, 3).map((d) => `r/${d.subreddit}`).join(', ');
+        subs.textContent = top || (status === 'empty' ? 'No activity' : `Account ${status}`);
+        tdUser.appendChild(subs);
+
+        const tdFetched = document.createElement('td');
+        tdFetched.className = 'num';
+        tdFetched.textContent = new Date(entry.fetchedAt).toLocaleDateString();
+        const age = document.createElement('small');
+        age.textContent = `${RUV.formatAge(now - entry.fetchedAt)} ago${entry.pinned ? ' \u00b7 pinned' : ''}`
+            + (RUV.isCurrentEntry(entry) ? '' : ' \u00b7 refetched when next seen');
+        tdFetched.appendChild(age);
+
+        const tdSize = document.createElement('td');
+        tdSize.className = 'num';
+        tdSize.textContent = formatBytes(bytes);
+
+        const tdActions = document.createElement('td');
+        tdActions.className = 'actions';
+        const pin = makeCacheActionButton(entry.pinned ? 'unpin' : 'pin', username, '\u2605', entry.pinned ? 'Unpin' : 'Pin (never expires)'); // ★
+        if (entry.pinned) { pin.classList.add('on'); }
+        tdActions.append(
+            makeCacheActionButton('refresh', username, '\u21bb', 'Refresh now'), // ↻
+            pin,
+            makeCacheActionButton('delete', username, '\u00d7', 'Delete'),
+        );
+
+        tr.append(tdSelect, tdUser, tdFetched, tdSize, tdActions);
+        elCacheRows.appendChild(tr);
+    }
+
+    if (cacheRows.length === 0) {
+        elCacheNote.textContent = 'No cached users yet.';
+    } else if (matches.length > CACHE_TABLE_MAX_ROWS) {
+        elCacheNote.textContent = `Showing ${CACHE_TABLE_MAX_ROWS} of ${matches.length} matches. Refine the search to see more.`;
+    } else {
+        elCacheNote.textContent = `${matches.length} of ${cacheRows.length} users shown.`;
+    }
+    updateBulkButtons();
+};
+
+/**
+ * Reloads the cache snapshot from storage and re-renders the cache browser.
+ *
+ * @returns {Promise<void>}
+ */
+const loadCacheRows = async () => {
+    const all = await RUV.getAllUserEntries();
+    cacheRows = Object.entries(all)
+        .map(([key, entry]) => ({
+            username: key.slice(RUV.STORAGE_KEY_PREFIX.length),
+            entry,
+            bytes: RUV.estimateEntryBytes(key, entry),
+        }))
+        .sort((a, b) => b.entry.fetchedAt - a.entry.fetchedAt);
+    const present = new Set(cacheRows.map((r) => r.username));
+    for (const username of selectedUsers) {
+        if (!present.has(username)) { selectedUsers.delete(username); }
+    }
+    renderCacheTable();
+};
+
+/**
+ * Refreshes both the cache size summary and the cache browser.
+ *
+ * @returns {Promise<void>}
+ */
+const refreshCacheView = async () => {
+    await refreshCacheStats();
+    await loadCacheRows();
+};
+
+/**
+ * Applies a cache browser action to the given users, then reloads the view.
+ * Refreshes run one after another through the background worker so its
+ * shared rate limiter stays in charge.
+ *
+ * @param {'refresh'|'pin'|'unpin'|'delete'} action
+ * @param {Array<string>}                    usernames
+ * @returns {Promise<void>}
+ */
+const runCacheAction = async (action, usernames) => {
+    if (action === 'refresh') {
+        let failed = 0;
+        for (const username of usernames) {
+            showStatus(`Refreshing ${username}\u2026`);
+            if (await RUV.refreshUserData(username) === null) { failed++; }
+        }
+        showStatus(failed > 0
+            ? `Refreshed ${usernames.length - failed}, ${failed} failed.`
+            : `Refreshed ${usernames.length} user${usernames.length === 1 ? '' : 's'}.`);
+    } else if (action === 'pin' || action === 'unpin') {
+        await RUV.setUsersPinned(usernames, action === 'pin');
+        showStatus(action === 'pin' ? 'Pinned.' : 'Unpinned.');
+    } else if (action === 'delete') {
+        await RUV.deleteCachedUsers(usernames);
+        usernames.forEach((u) => selectedUsers.delete(u));
+        showStatus(`Deleted ${usernames.length} user${usernames.length === 1 ? '' : 's'}.`);
+    }
+    await refreshCacheView();
+};
+
+elCacheRows.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (btn) { runCacheAction(btn.dataset.action, [btn.dataset.user]); }
+});
+
+elCacheRows.addEventListener('change', (e) => {
+    const checkbox = e.target;
+    if (checkbox.type !== 'checkbox') { return; }
+    if (checkbox.checked) { selectedUsers.add(checkbox.dataset.user); } else { selectedUsers.delete(checkbox.dataset.user); }
+    updateBulkButtons();
+});
+
+elCacheSelectAll.addEventListener('change', () => {
+    for (const checkbox of elCacheRows.querySelectorAll('input[type="checkbox"]')) {
+        checkbox.checked = elCacheSelectAll.checked;
+        if (checkbox.checked) { selectedUsers.add(checkbox.dataset.user); } else { selectedUsers.delete(checkbox.dataset.user); }
+    }
+    updateBulkButtons();
+});
+
+elCacheSearch.addEventListener('input', renderCacheTable);
+elBulkRefresh.addEventListener('click', () => runCacheAction('refresh', Array.from(selectedUsers)));
+elBulkPin.addEventListener('click', () => runCacheAction('pin', Array.from(selectedUsers)));
+elBulkUnpin.addEventListener('click', () => runCacheAction('unpin', Array.from(selectedUsers)));
+elBulkDelete.addEventListener('click', () => runCacheAction('delete', Array.from(selectedUsers)));
+
+elCacheClean.addEventListener('click', async () => {
+    const { expired, evicted } = await RUV.runCacheMaintenance(readFromForm());
+    await refreshCacheView();
+    showStatus(`Removed ${expired} expired and ${evicted} over-limit entries.`);
+});
+
+/**
+ * Lists import results below the backup buttons.
+ *
+ * @param {Array<string>} lines   Informational lines.
+ * @param {Array<string>} errors  Problems found in the file.
+ */
+const showImportReport = (lines, errors) => {
+    elImportReport.textContent = '';
+    for (const text of lines) {
+        const li = document.createElement('li');
+        li.textContent = text;
+        elImportReport.appendChild(li);
+    }
+    for (const text of errors) {
+        const li = document.createElement('li');
+        li.className = 'error';
+        li.textContent = text;
+        elImportReport.appendChild(li);
+    }
+};
+
+elExport.addEventListener('click', async () => {
+    const backup = await RUV.buildBackup(elExportCache.checked);
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `reddit-user-vibe-backup-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    const users = backup.users ? Object.keys(backup.users).length : 0;
+    showStatus(backup.users ? `Exported settings and ${users} cached users.` : 'Exported settings.');
+});
+
+elImport.addEventListener('click', () => elImportFile.click());
+
+elImportFile.addEventListener('change', async () => {
+    const file = elImportFile.files[0];
+    elImportFile.value = '';
+    if (!file) { return; }
+
+    const parsed = RUV.parseBackup(await file.text());
+    if (parsed.fatal) {
+        showImportReport([`Import of ${file.name} failed.`], parsed.errors);
+        return;
+    }
+
+    const mode = elImportMode.value;
+    let apiChanged = false;
+    /** @type {{ provider: string, providerBaseUrl: string }|null} Imported source still awaiting access. */
+    let pendingSource = null;
+    const backup = { ...parsed };
+    if (backup.settings) {
+        const base = mode === 'replace' ? RUV.DEFAULTS : await loadSettings();
+        let incoming = Object.assign({}, base, backup.settings);
+        // The file picker does not count as a user gesture, so access cannot be
+        // asked for here: a source not yet granted is left for Save to request.
+        if (!await hasProviderPermission(incoming.providerBaseUrl)) {
+            pendingSource = { provider: incoming.provider, providerBaseUrl: incoming.providerBaseUrl };
+            backup.settings = Object.assign({}, backup.settings);
+            delete backup.settings.provider;
+            delete backup.settings.providerBaseUrl;
+            incoming = Object.assign({}, base, backup.settings);
+        }
+        apiChanged = isApiChange(incoming);
+        // Cleared before the backup's users are written, so those are kept.
+        if (apiChanged) { await RUV.clearAllUserCache(); }
+    }
+
+    const written = await RUV.applyBackup(backup, mode);
+    const lines = [`Imported ${file.name} (${mode}).`];
+    if (written.settings) { lines.push(apiChanged ? `Settings restored. ${CACHE_CLEARED}` : 'Settings restored.'); }
+    if (parsed.users) {
+        const skipped = Object.keys(parsed.users).length - written.users;
+        lines.push(`${written.users} cached user(s) written${skipped > 0 ? `, ${skipped} older than existing data kept as is` : ''}.`);
+    }
+    const errors = parsed.errors.slice();
+    if (pendingSource) {
+        errors.push(`No access to ${pendingSource.providerBaseUrl} yet, so the data source was not changed. `
+            + 'It is filled in below: press Save to allow access and switch to it.');
+    }
+    showImportReport(lines, errors);
+
+    const settings = await loadSettings();
+    applyToForm(settings);
+    if (pendingSource) {
+        elProvider.value = pendingSource.provider;
+        elProviderUrl.value = pendingSource.providerBaseUrl;
+        updateProviderHint();
+    }
+    await refreshCacheView();
+    showStatus('Import complete.');
+});
+
 elSave.addEventListener('click', async () => {
     const newSettings = readFromForm();
-    const apiChanged = newSettings.limit !== savedLimit || newSettings.after !== savedAfter;
+    if (!RUV.isValidProviderUrl(newSettings.providerBaseUrl)) {
+        showStatus('Base URL must be an http(s) URL or a path inside the extension.');
+        return;
+    }
+    // Must be the first await so the request still counts as a user gesture.
+    if (!await requestProviderPermission(newSettings.providerBaseUrl)) {
+        showStatus('Permission to reach the base URL was denied. Not saved.');
+        return;
+    }
+    const apiChanged = isApiChange(newSettings);
     if (apiChanged) { await RUV.clearAllUserCache(); }
     await saveSettings(newSettings);
-    savedLimit = newSettings.limit;
-    savedAfter = newSettings.after;
-    showStatus(apiChanged ? 'Saved! Cache cleared.' : 'Saved!');
+    rememberApiSettings(newSettings);
+    if (!apiChanged) { await RUV.runCacheMaintenance(newSettings); }
+    await refreshCacheView();
+    showStatus(apiChanged ? `Saved! ${CACHE_CLEARED}` : 'Saved!');
 });
 
 elReset.addEventListener('click', async () => {
     applyToForm(RUV.DEFAULTS);
     await RUV.clearAllUserCache();
     await saveSettings(RUV.DEFAULTS);
-    showStatus('Reset to defaults. Cache cleared.');
+    await refreshCacheView();
+    showStatus(`Reset to defaults. ${CACHE_CLEARED}`);
 });
 
 bindColorPair(elSubColor, elSubColorHex, updatePreview);
 bindColorPair(elSubText, elSubTextHex, updatePreview);
 bindColorPair(elCntColor, elCntColorHex, updatePreview);
 bindColorPair(elCntText, elCntTextHex, updatePreview);
+elCountDisplay.addEventListener('change', updatePreview);
+elHumanizeCounts.addEventListener('change', updatePreview);
+elColorPreset.addEventListener('change', applyColorPreset);
+elColorBySub.addEventListener('change', updatePreview);
+
+elTagNewColor.value = RUV.DEFAULT_TAG_COLOR;
+renderColorPresets();
 
 // Load settings and populate form on page ready
 loadSettings().then(applyToForm);
+refreshCacheView();
+renderTags();
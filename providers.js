@@ -0,0 +1,214 @@
+/**
+ * Reddit User Vibe — Data Providers
+ * Registry of sources for user activity data. Each provider turns the
+ * extension's two queries (per-subreddit totals and monthly counts) into
+ * requests against its own API, and normalises the responses and rate-limit
+ * headers, so that api.js does not depend on any one service.
+ * Loaded by the background worker, which queries the active provider, and by
+ * the options page, which lists them.
+ * Depends on: config.js
+ */
+
+/**
+ * What a provider receives for each query.
+ *
+ * @typedef {object} RUVProviderContext
+ * @property {string} baseUrl  - Configured base URL, or the provider default, resolved to an absolute URL.
+ * @property {function(string): Promise<any|null>} fetchJson  - Rate-limited JSON fetch from api.js;
+ *                               resolves to null on any failure.
+ */
+
+/**
+ * A source of user activity data.
+ *
+ * @typedef {object} RUVProvider
+ * @property {string} label           - Name shown on the options page.
+ * @property {string} defaultBaseUrl  - Used when no base URL is configured. May be a path
+ *                                      inside the extension.
+ * @property {string} hint            - Explains what the base URL should point to.
+ * @property {function(Headers): { remaining: number, reset: number }} parseRateLimit
+ *   Requests left in the current window and seconds until it resets.
+ * @property {function(RUVProviderContext, 'posts'|'comments', string, number, string): Promise<Array<{subreddit:string,count:number}>|null>} subredditTotals
+ *   (ctx, kind, username, limit, after) — a user's top subreddits for one kind of content,
+ *   highest count first; `after` is a relative window such as "3month", or "" for all time.
+ * @property {function(RUVProviderContext, 'posts'|'comments', string, string, string): Promise<Array<{time:number,count:number}>|null>} monthlyCounts
+ *   (ctx, kind, username, subreddit, since) — monthly buckets from `since` ("2026-01-01")
+ *   onwards, each keyed by its start time in epoch ms.
+ * @property {function(RUVProviderContext, string): Promise<'active'|'deleted'|'suspended'|null>} [accountStatus]
+ *   (ctx, username) — whether an account exists; optional, Reddit itself is asked when absent.
+ */
+
+/**
+ * Converts a bucket key that may be epoch seconds, epoch ms or a date string
+ * into epoch ms, or NaN.
+ *
+ * @param {number|string} key
+ * @returns {number}
+ */
+RUV._bucketTime = (key) => {
+    if (typeof key === 'number') { return key < 1e12 ? key * 1000 : key; }
+    return Date.parse(key);
+};
+
+/** @type {Map<string, Promise<any|null>>} Fixture documents by URL, loaded once per worker. */
+RUV._fixtureCache = new Map();
+
+/** @type {Object<string, RUVProvider>} Registered providers by id. */
+RUV.PROVIDERS = {
+    'arctic-shift': {
+        label: 'Arctic Shift',
+        defaultBaseUrl: 'https://arctic-shift.photon-reddit.com/api',
+        hint: 'Root of an Arctic Shift API, e.g. a self-hosted mirror ending in /api',
+
+        parseRateLimit: (headers) => ({
+            remaining: parseFloat(headers.get('x-ratelimit-remaining') ?? '99'),
+            reset: parseInt(headers.get('x-ratelimit-reset') ?? '0', 10),
+        }),
+
+        subredditTotals: async (ctx, kind, username, limit, after) => {
+            const params = new URLSearchParams({ aggregate: 'subreddit', author: username, limit: String(limit) });
+            if (after) { params.set('after', after); }
+            const json = await ctx.fetchJson(`${ctx.baseUrl}/${kind}/search/aggregate?${params}`);
+
+            // Response shape: { data: [{ key: string, doc_count: number }] }
+            if (!Array.isArray(json?.data)) { return null; }
+            return json.data
+                .filter((d) => typeof d?.key === 'string' && Number.isFinite(d.doc_count))
+                .map((d) => ({ subreddit: d.key, count: d.doc_count }));
+        },
+
+        monthlyCounts: async (ctx, kind, username, subreddit, since) => {
+            const params = new URLSearchParams({
+                aggregate: 'created_utc',
+                frequency: 'month',
+                author: username,
+                subreddit,
+                after: since,
+            });
+            const json = await ctx.fetchJson(`${ctx.baseUrl}/${kind}/search/aggregate?${params}`);
+
+            // Response shape: { data: [{ key: bucket start (epoch s/ms or ISO date), doc_count: number }] }
+            if (!Array.isArray(json?.data)) { return null; }
+            return json.data
+                .map((d) => ({ time: RUV._bucketTime(d?.key), count: d?.doc_count }))
+                .filter((d) => Number.isFinite(d.time) && Number.isFinite(d.count));
+        },
+    },
+
+    fixture: {
+        label: 'Local JSON fixture',
+        defaultBaseUrl: 'fixtures/example.json',
+        hint: 'URL of a fixture file, or a path inside the extension; see fixtures/example.json',
+
+        // Local files carry no rate limit.
+        parseRateLimit: () => ({ remaining: Infinity, reset: 0 }),
+
+        // The time window is ignored: a fixture describes one fixed period.
+        subredditTotals: async (ctx, kind, username, limit) => {
+            const doc = await RUV._loadFixture(ctx);
+            if (!doc) { return null; }
+            return Object.entries(doc.users?.[username]?.[kind] || {})
+                .filter(([, count]) => Number.isFinite(count))
+                .map(([subreddit, count]) => ({ subreddit, count }))
+                .sort((a, b) => b.count - a.count)
+                .slice(0, limit);
+        },
+
+        monthlyCounts: async (ctx, kind, username, subreddit, since) => {
+            const doc = await RUV._loadFixture(ctx);
+            if (!doc) { return null; }
+            const months = doc.users?.[username]?.timeline?.[kind]?.[subreddit] || {};
+            const start = Date.parse(since);
+            return Object.entries(months)
+                .map(([month, count]) => ({ time: Date.parse(`${month}-01T00:00:00Z`), count }))
+                .filter((d) => d.time >= start && Number.isFinite(d.count));
+        },
+
+        // Fixtures mark deleted or suspended users with a "status" field.
+        accountStatus: async (ctx, username) => {
+            const doc = await RUV._loadFixture(ctx);
+            if (!doc) { return null; }
+            const status = doc.users?.[username]?.status;
+            return status === 'deleted' || status === 'suspended' ? status : 'active';
+        },
+    },
+};
+
+/**
+ * Loads and memoises the fixture document for a context. Failed loads are
+ * forgotten so the next query retries.
+ *
+ * @param {RUVProviderContext} ctx
+ * @returns {Promise<any|null>}
+ */
+RUV._loadFixture = (ctx) => {
+    if (!RUV._fixtureCache.has(ctx.baseUrl)) {
+        const promise = ctx.fetchJson(ctx.baseUrl).then((doc) => {
+            if (!doc) { RUV._fixtureCache.delete(ctx.baseUrl); }
+            return doc;
+        });
+        RUV._fixtureCache.set(ctx.baseUrl, promise);
+    }
+    return RUV._fixtureCache.get(ctx.baseUrl);
+};
+
+/**
+ * Returns the provider for an id, falling back to the default provider for
+ * unknown ids (e.g. settings imported from a newer version).
+ *
+ * @param {string} id
+ * @returns {RUVProvider}
+ */
+RUV.getProvider = (id) => RUV.PROVIDERS[id] || RUV.PROVIDERS[RUV.DEFAULTS.provider];
+
+/**
+ * Returns the absolute base URL a provider should use for the given
+ * settings: the configured URL, or the provider default, with any trailing
+ * slash removed. Paths without a scheme are resolved inside the extension.
+ *
+ * @param {RUVSettings} settings
+ * @returns {string}
+ */
+RUV.resolveProviderUrl = (settings) => {
+    const url = (settings.providerBaseUrl || RUV.getProvider(settings.provider).defaultBaseUrl)
+        .trim().replace(/\/+$/, '');
+    return /^[a-z][a-z0-9+.-]*:/i.test(url) ? url : chrome.runtime.getURL(url);
+};
+
+/**
+ * Returns true if a configured base URL is acceptable: empty (use the
+ * default), an http(s) URL, or a path inside the extension.
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+RUV.isValidProviderUrl = (url) => {
+    const value = url.trim();
+    if (!value) { return true; }
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(value)) { return !value.startsWith('/') && !value.includes('..'); }
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * The provider every fetch goes through, with its resolved base URL.
+ * Set by the background worker from the current settings.
+ * @type {{ provider: RUVProvider, baseUrl: string }}
+ */
+RUV._source = {
+    provider: RUV.getProvider(RUV.DEFAULTS.provider),
+    baseUrl: RUV.getProvider(RUV.DEFAULTS.provider).defaultBaseUrl,
+};
+
+/**
+ * Switches fetches to the provider and base URL in the given settings.
+ *
+ * @param {RUVSettings} settings
+ * @returns {void}
+ */
+RUV.setProvider = (settings) => {
+    RUV._source = { provider: RUV.getProvider(settings.provider), baseUrl: RUV.resolveProviderUrl(settings) };
+};
@@ -63,46 +63,716 @@ RUV.saveSettings = async (settings) => {
 };
 
 /**
- * Returns cached per-user subreddit data if it exists and has not expired.
- * A cache hit is a stored entry whose `fetchedAt` timestamp is younger than
- * cacheDurationMs milliseconds.
+ * Writes several key/value pairs to chrome.storage.local in one call.
+ * Silently swallows errors.
+ *
+ * @param {Object<string, any>} items  Map of full storage key → value.
+ * @returns {Promise<void>}
+ */
+RUV.storageSetMany = (items) => {
+    return new Promise((resolve) => {
+        try {
+            chrome.storage.local.set(items, resolve);
+        } catch {
+            resolve();
+        }
+    });
+};
+
+/**
+ * Removes one or more keys from chrome.storage.local. Silently swallows errors.
+ *
+ * @param {string|Array<string>} keys
+ * @returns {Promise<void>}
+ */
+RUV.storageRemove = (keys) => {
+    return new Promise((resolve) => {
+        try {
+            chrome.storage.local.remove(keys, resolve);
+        } catch {
+            resolve();
+        }
+    });
+};
+
+/**
+ * A user's activity in one subreddit.
+ *
+ * @typedef {object} RUVSubActivity
+ * @property {string} subreddit - Subreddit name.
+ * @property {number} count     - Posts plus comments.
+ * @property {number} posts     - Submissions made in the subreddit.
+ * @property {number} comments  - Comments made in the subreddit.
+ */
+
+/**
+ * A per-user cache entry as stored under `RUV.STORAGE_KEY_PREFIX + username`.
+ *
+ * @typedef {object} RUVCacheEntry
+ * @property {number} v           - RUV.CACHE_VERSION at write time; absent on version 1 entries.
+ * @property {number} fetchedAt   - Epoch ms when the data was fetched.
+ * @property {number} lastAccess  - Epoch ms of the last cache hit (for LRU eviction).
+ * @property {boolean} [pinned]   - When true the entry never expires and is never evicted.
+ * @property {boolean} [outdated] - Set on pinned entries kept through RUV.clearAllUserCache;
+ *                                  their data no longer matches the settings.
+ * @property {Array<RUVSubActivity>} data  - Sorted by count, highest first.
+ * @property {'empty'|'deleted'|'suspended'} [status]  - Why `data` is empty; absent when it is not.
+ * @property {{ window: string, data: Array<RUVSubActivity> }} [recent]
+ *   Activity in the shorter trend window, fetched together with `data` when
+ *   trend mode is on.
+ */
+
+/**
+ * Returns true if entry was written with the current cache layout and the
+ * current API settings. Older entries lack fields the UI relies on, and
+ * outdated ones hold other data, so both must be refetched, not displayed.
+ *
+ * @param {RUVCacheEntry} entry
+ * @returns {boolean}
+ */
+RUV.isCurrentEntry = (entry) => entry?.v === RUV.CACHE_VERSION && !entry.outdated;
+
+/** @type {Array<string>} Account states a cache entry can record instead of activity. */
+RUV.ENTRY_STATUSES = ['empty', 'deleted', 'suspended'];
+
+/**
+ * Returns what a cache entry says about its user: 'ok' when it holds activity,
+ * else the account state it recorded ('empty' for entries that predate them).
+ *
+ * @param {RUVCacheEntry} entry
+ * @returns {'ok'|'empty'|'deleted'|'suspended'}
+ */
+RUV.entryStatus = (entry) => (entry.data?.length > 0 ? 'ok' : entry.status || 'empty');
+
+/**
+ * Returns how long an unpinned entry stays fresh: cacheDurationMs, capped at
+ * RUV.EMPTY_CACHE_MS for users with no activity or a suspended account.
+ *
+ * @param {RUVCacheEntry} entry
+ * @param {number}        cacheDurationMs
+ * @returns {number}
+ */
+RUV.entryMaxAge = (entry, cacheDurationMs) => {
+    const status = RUV.entryStatus(entry);
+    const settled = status === 'ok' || status === 'deleted';
+    return settled ? cacheDurationMs : Math.min(cacheDurationMs, RUV.EMPTY_CACHE_MS);
+};
+
+/**
+ * Returns true if an entry has expired and is only being shown until the
+ * refetch of its user completes.
+ *
+ * @param {RUVCacheEntry} entry
+ * @param {number}        cacheDurationMs
+ * @param {number}        [now=Date.now()]
+ * @returns {boolean}
+ */
+RUV.isStaleEntry = (entry, cacheDurationMs, now = Date.now()) => {
+    return !entry.pinned && now - entry.fetchedAt >= RUV.entryMaxAge(entry, cacheDurationMs);
+};
+
+/**
+ * Returns the cached entry for a user if it exists and has not expired.
+ * A cache hit is a current-version entry that is pinned or whose `fetchedAt`
+ * timestamp is younger than cacheDurationMs milliseconds (less for users with
+ * no activity, see RUV.entryMaxAge). With maxShownAgeMs, expired entries
+ * younger than it are returned too, for the caller to show while it refetches
+ * them (see RUV.isStaleEntry). Hits refresh the entry's `lastAccess` stamp,
+ * at most once per RUV.CACHE_TOUCH_INTERVAL_MS to keep writes rare.
  *
  * @param {string} username       Reddit username (case preserved as returned by API).
  * @param {number} cacheDurationMs  Maximum age in milliseconds.
- * @returns {Promise<Array<{subreddit:string,count:number}>|null>}
- *   Cached data array, or null if absent / expired.
+ * @param {number} [maxShownAgeMs=0]  Maximum age of an expired entry that is still returned.
+ * @returns {Promise<RUVCacheEntry|null>}  Cached entry, or null if absent / too old.
  */
-RUV.getCachedUser = async (username, cacheDurationMs) => {
-    const entry = await RUV.storageGet(RUV.STORAGE_KEY_PREFIX + username);
-    if (!entry) { return null; }
-    if ((Date.now() - entry.fetchedAt) >= cacheDurationMs) { return null; }
-    return entry.data;
+RUV.getCachedUser = async (username, cacheDurationMs, maxShownAgeMs = 0) => {
+    const key = RUV.STORAGE_KEY_PREFIX + username;
+    const entry = await RUV.storageGet(key);
+    if (!RUV.isCurrentEntry(entry)) { return null; }
+    const now = Date.now();
+    const age = now - entry.fetchedAt;
+    if (!entry.pinned && age >= Math.max(RUV.entryMaxAge(entry, cacheDurationMs), maxShownAgeMs)) { return null; }
+    if (now - (entry.lastAccess || 0) >= RUV.CACHE_TOUCH_INTERVAL_MS) {
+        RUV.storageSet(key, Object.assign({}, entry, { lastAccess: now }));
+    }
+    return entry;
 };
 
 /**
- * Removes all per-user cache entries from chrome.storage.local.
+ * Reads every per-user cache entry from chrome.storage.local, or every entry
+ * under another key prefix such as RUV.TIMELINE_KEY_PREFIX.
+ *
+ * @param {string} [prefix=RUV.STORAGE_KEY_PREFIX]
+ * @returns {Promise<Object<string, RUVCacheEntry>>}  Map of full storage key → entry.
+ */
+RUV.getAllUserEntries = async (prefix = RUV.STORAGE_KEY_PREFIX) => {
+    const all = await new Promise((resolve) => {
+        try {
+            chrome.storage.local.get(null, (result) => resolve(result || {}));
+        } catch {
+            resolve({});
+        }
+    });
+    const entries = {};
+    for (const [key, value] of Object.entries(all)) {
+        if (key.startsWith(prefix)) { entries[key] = value; }
+    }
+    return entries;
+};
+
+/**
+ * Estimates the bytes a cache entry occupies in storage, using the length of
+ * its key plus its JSON serialisation (the same measure the browser quota uses).
+ *
+ * @param {string}        key
+ * @param {RUVCacheEntry} entry
+ * @returns {number}
+ */
+RUV.estimateEntryBytes = (key, entry) => key.length + JSON.stringify(entry).length;
+
+/**
+ * Removes all per-user cache entries and timelines from chrome.storage.local,
+ * except pinned entries: those keep their pin but are marked outdated, so
+ * they are refetched the next time their user is seen instead of being shown.
  * Called when API settings change so stale data is not served.
  *
  * @returns {Promise<void>}
  */
 RUV.clearAllUserCache = async () => {
-    const all = await new Promise((resolve) => chrome.storage.local.get(null, resolve));
-    const keys = Object.keys(all).filter((k) => k.startsWith(RUV.STORAGE_KEY_PREFIX));
-    if (keys.length === 0) { return; }
-    await new Promise((resolve) => chrome.storage.local.remove(keys, resolve));
-    console.log(`[RUV] Cleared ${keys.length} user cache entries`);
+    const entries = await RUV.getAllUserEntries();
+    /** @type {Object<string, RUVCacheEntry>} */
+    const pinned = {};
+    for (const [key, entry] of Object.entries(entries)) {
+        if (entry?.pinned) { pinned[key] = Object.assign({}, entry, { outdated: true }); }
+    }
+    const keys = Object.keys(entries).filter((key) => !pinned[key])
+        .concat(Object.keys(await RUV.getAllUserEntries(RUV.TIMELINE_KEY_PREFIX)));
+    const kept = Object.keys(pinned).length;
+    if (keys.length > 0) { await RUV.storageRemove(keys); }
+    if (kept > 0) { await RUV.storageSetMany(pinned); }
+    if (keys.length > 0 || kept > 0) {
+        console.log(`[RUV] Cleared ${keys.length} user cache entries, kept ${kept} pinned for refetching`);
+    }
 };
 
 /**
  * Writes per-user subreddit data to the cache, stamping the current time.
+ * An existing pin on the entry is preserved.
  *
  * @param {string} username Reddit username.
- * @param {Array<{subreddit:string,count:number}>} data
+ * @param {Array<RUVSubActivity>} data
+ * @param {{ window: string, data: Array<RUVSubActivity> }|null} [recent]  Trend-window data.
+ * @param {'empty'|'deleted'|'suspended'|null} [status]  Account state, when data is empty.
+ * @returns {Promise<RUVCacheEntry>}  The entry as written.
+ */
+RUV.setCachedUser = async (username, data, recent = null, status = null) => {
+    const key = RUV.STORAGE_KEY_PREFIX + username;
+    const previous = await RUV.storageGet(key);
+    const now = Date.now();
+    const entry = { v: RUV.CACHE_VERSION, fetchedAt: now, lastAccess: now, data };
+    if (previous?.pinned) { entry.pinned = true; }
+    if (recent) { entry.recent = recent; }
+    if (status && data.length === 0) { entry.status = status; }
+    await RUV.storageSet(key, entry);
+    return entry;
+};
+
+/**
+ * Pins or unpins cached users. Pinned entries never expire and are never
+ * evicted by cache maintenance. Users without a cache entry are skipped.
+ *
+ * @param {Array<string>} usernames
+ * @param {boolean}       pinned
  * @returns {Promise<void>}
  */
-RUV.setCachedUser = async (username, data) => {
-    await RUV.storageSet(RUV.STORAGE_KEY_PREFIX + username, {
-        fetchedAt: Date.now(),
-        data,
-    });
+RUV.setUsersPinned = async (usernames, pinned) => {
+    for (const username of usernames) {
+        const key = RUV.STORAGE_KEY_PREFIX + username;
+        const entry = await RUV.storageGet(key);
+        if (!entry) { continue; }
+        if (pinned) { entry.pinned = true; } else { delete entry.pinned; }
+        await RUV.storageSet(key, entry);
+    }
+};
+
+/**
+ * Deletes the cache entries and timelines of the given users.
+ *
+ * @param {Array<string>} usernames
+ * @returns {Promise<void>}
+ */
+RUV.deleteCachedUsers = async (usernames) => {
+    if (usernames.length === 0) { return; }
+    await RUV.storageRemove(usernames.flatMap((u) => [RUV.STORAGE_KEY_PREFIX + u, RUV.TIMELINE_KEY_PREFIX + u]));
+};
+
+/**
+ * The user's own label for a Reddit user, stored under
+ * `RUV.TAG_KEY_PREFIX + username.toLowerCase()`. Unlike cache entries, tags
+ * never expire and are not touched by cache maintenance.
+ *
+ * @typedef {object} RUVUserTag
+ * @property {string} username   - Username as it was tagged (case preserved).
+ * @property {string} tag        - Short label shown as a pill, e.g. "known troll". May be empty
+ *                                 when only a note is set.
+ * @property {string} color      - Background colour of the tag pill.
+ * @property {string} note       - Free-form note shown in the pill tooltip.
+ * @property {number} updatedAt  - Epoch ms of the last edit.
+ */
+
+/**
+ * Returns the storage key of a user's tag. Reddit usernames are
+ * case-insensitive, so the key is too.
+ *
+ * @param {string} username
+ * @returns {string}
+ */
+RUV.tagKey = (username) => RUV.TAG_KEY_PREFIX + username.toLowerCase();
+
+/**
+ * Returns every stored tag, keyed by lower-cased username.
+ *
+ * @returns {Promise<Map<string, RUVUserTag>>}
+ */
+RUV.getAllUserTags = async () => {
+    const all = await RUV.getAllUserEntries(RUV.TAG_KEY_PREFIX);
+    return new Map(Object.entries(all).map(([key, tag]) => [key.slice(RUV.TAG_KEY_PREFIX.length), tag]));
+};
+
+/**
+ * Saves a user's tag and note, or removes them when both are empty.
+ *
+ * @param {string} username
+ * @param {{ tag: string, color: string, note: string }} fields
+ * @returns {Promise<RUVUserTag|null>}  The stored tag, or null if removed.
+ */
+RUV.setUserTag = async (username, { tag, color, note }) => {
+    const key = RUV.tagKey(username);
+    if (!tag.trim() && !note.trim()) {
+        await RUV.storageRemove([key]);
+        return null;
+    }
+    const entry = { username, tag: tag.trim(), color, note: note.trim(), updatedAt: Date.now() };
+    await RUV.storageSet(key, entry);
+    return entry;
+};
+
+/**
+ * A user's monthly activity, cached under `RUV.TIMELINE_KEY_PREFIX + username`.
+ * Kept apart from the summary entry because it is only fetched on demand.
+ *
+ * @typedef {object} RUVTimelineEntry
+ * @property {number} v          - RUV.CACHE_VERSION at write time.
+ * @property {number} fetchedAt  - Epoch ms when the oldest series in `subs` was fetched.
+ * @property {Array<string>} months  - Month keys ("2026-03"), oldest first.
+ * @property {Object<string, Array<number>>} subs  - Posts plus comments per month, by subreddit.
+ */
+
+/**
+ * Returns the cached timeline for a user if it exists, has not expired and
+ * still covers the given months.
+ *
+ * @param {string}        username
+ * @param {number}        cacheDurationMs
+ * @param {Array<string>} months  Month keys the caller needs.
+ * @returns {Promise<RUVTimelineEntry|null>}
+ */
+RUV.getCachedTimeline = async (username, cacheDurationMs, months) => {
+    const entry = await RUV.storageGet(RUV.TIMELINE_KEY_PREFIX + username);
+    if (!RUV.isCurrentEntry(entry) || Date.now() - entry.fetchedAt >= cacheDurationMs) { return null; }
+    return entry.months.join() === months.join() ? entry : null;
+};
+
+/**
+ * Writes a user's timeline to the cache.
+ *
+ * @param {string}           username
+ * @param {RUVTimelineEntry} entry
+ * @returns {Promise<void>}
+ */
+RUV.setCachedTimeline = (username, entry) => RUV.storageSet(RUV.TIMELINE_KEY_PREFIX + username, entry);
+
+/**
+ * Returns the number of cached users and their approximate size in bytes.
+ *
+ * @returns {Promise<{ entries: number, bytes: number }>}
+ */
+RUV.getCacheStats = async () => {
+    const all = await RUV.getAllUserEntries();
+    let bytes = 0;
+    for (const [key, entry] of Object.entries(all)) { bytes += RUV.estimateEntryBytes(key, entry); }
+    return { entries: Object.keys(all).length, bytes };
+};
+
+/**
+ * Deletes expired user entries, then evicts the least recently used entries
+ * until the cache fits both `cacheMaxEntries` and `cacheMaxKB`. Timelines are
+ * deleted once expired or once their user is no longer cached.
+ * Pinned entries count towards both caps but are never removed.
+ *
+ * @param {RUVSettings} settings
+ * @returns {Promise<{ expired: number, evicted: number, entries: number, bytes: number }>}
+ */
+RUV.runCacheMaintenance = async (settings) => {
+    const all = await RUV.getAllUserEntries();
+    const now = Date.now();
+    const cacheDurationMs = settings.cacheDays * 24 * 60 * 60 * 1000;
+    // Expired entries that may still be shown stale are kept until too old for that.
+    const maxShownAgeMs = RUV.getMaxShownAgeMs(settings);
+
+    const expiredKeys = [];
+    const evictable = [];
+    let entries = 0;
+    let bytes = 0;
+    for (const [key, entry] of Object.entries(all)) {
+        if (!entry || typeof entry.fetchedAt !== 'number') {
+            expiredKeys.push(key);
+            continue;
+        }
+        const maxAge = Math.max(RUV.entryMaxAge(entry, cacheDurationMs), maxShownAgeMs);
+        const outdated = !RUV.isCurrentEntry(entry) || now - entry.fetchedAt >= maxAge;
+        if (!entry.pinned && outdated) {
+            expiredKeys.push(key);
+            continue;
+        }
+        const size = RUV.estimateEntryBytes(key, entry);
+        entries++;
+        bytes += size;
+        if (!entry.pinned) {
+            evictable.push({ key, lastAccess: entry.lastAccess || entry.fetchedAt, bytes: size });
+        }
+    }
+
+    // Oldest access first, so eviction pops from the front.
+    evictable.sort((a, b) => a.lastAccess - b.lastAccess);
+    const maxEntries = settings.cacheMaxEntries > 0 ? settings.cacheMaxEntries : Infinity;
+    const maxBytes = settings.cacheMaxKB > 0 ? settings.cacheMaxKB * 1024 : Infinity;
+
+    const evictedKeys = [];
+    while (evictable.length > 0 && (entries > maxEntries || bytes > maxBytes)) {
+        const victim = evictable.shift();
+        entries--;
+        bytes -= victim.bytes;
+        evictedKeys.push(victim.key);
+    }
+
+    const removed = new Set(expiredKeys.concat(evictedKeys));
+    const timelines = await RUV.getAllUserEntries(RUV.TIMELINE_KEY_PREFIX);
+    for (const [key, timeline] of Object.entries(timelines)) {
+        const userKey = RUV.STORAGE_KEY_PREFIX + key.slice(RUV.TIMELINE_KEY_PREFIX.length);
+        const orphaned = !(userKey in all) || removed.has(userKey);
+        if (orphaned || !RUV.isCurrentEntry(timeline) || now - timeline.fetchedAt >= cacheDurationMs) {
+            removed.add(key);
+        }
+    }
+
+    const removeKeys = Array.from(removed);
+    if (removeKeys.length > 0) {
+        await RUV.storageRemove(removeKeys);
+        console.log(`[RUV] Cache maintenance: ${expiredKeys.length} expired, ${evictedKeys.length} evicted`);
+    }
+    return { expired: expiredKeys.length, evicted: evictedKeys.length, entries, bytes };
+};
+
+/**
+ * Runs cache maintenance unless another tab already did so within
+ * RUV.CACHE_GC_INTERVAL_MS. The last-run time is kept in storage so every
+ * open tab shares one schedule.
+ *
+ * @param {RUVSettings} settings
+ * @returns {Promise<void>}
+ */
+RUV.maybeRunCacheMaintenance = async (settings) => {
+    const lastRun = await RUV.storageGet(RUV.CACHE_GC_KEY);
+    if (lastRun && Date.now() - lastRun < RUV.CACHE_GC_INTERVAL_MS) { return; }
+    await RUV.storageSet(RUV.CACHE_GC_KEY, Date.now());
+    await RUV.runCacheMaintenance(settings);
+};
+
+/**
+ * Brings stored user entries up to RUV.CACHE_VERSION. Entries from an older
+ * layout cannot be converted (the old API did not split posts and comments),
+ * so unpinned ones are deleted; pinned ones are kept, pin included, and
+ * replaced by a fresh fetch the next time the user is seen. Runs once per
+ * version bump.
+ *
+ * @returns {Promise<void>}
+ */
+RUV.migrateCache = async () => {
+    if (await RUV.storageGet(RUV.CACHE_VERSION_KEY) === RUV.CACHE_VERSION) { return; }
+    const all = await RUV.getAllUserEntries();
+    const staleKeys = Object.keys(all).filter((key) => !RUV.isCurrentEntry(all[key]) && !all[key]?.pinned);
+    if (staleKeys.length > 0) {
+        await RUV.storageRemove(staleKeys);
+        console.log(`[RUV] Cache migration: dropped ${staleKeys.length} outdated entries`);
+    }
+    await RUV.storageSet(RUV.CACHE_VERSION_KEY, RUV.CACHE_VERSION);
+};
+
+/**
+ * Extra per-item checks for array-valued settings. Items failing the check
+ * are dropped on import.
+ * @type {Object<string, function(any): boolean>}
+ */
+RUV._settingItemChecks = {
+    categories: (c) => !!c && typeof c.name === 'string' && Array.isArray(c.patterns)
+        && c.patterns.every((p) => typeof p === 'string')
+        && RUV.isSafeColor(c.color) && RUV.isSafeColor(c.textColor),
+    watchlist: (w) => !!w && typeof w.subreddit === 'string' && typeof w.minCount === 'number'
+        && RUV.WATCH_SEVERITIES.includes(w.severity),
+    ignoreSubs: (p) => typeof p === 'string',
+    subColors: (c) => !!c && typeof c.subreddit === 'string' && RUV.isSafeColor(c.color),
+    siteRules: (r) => !!r && ['allow', 'deny'].includes(r.action) && typeof r.subreddit === 'string'
+        && (r.pageType === '' || r.pageType in RUV.PAGE_TYPES) && ['', 'www', 'old'].includes(r.host),
+};
+
+/**
+ * Returns the type name used to compare a setting against its default:
+ * "array", "null", or the typeof result.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+RUV._settingType = (value) => {
+    if (Array.isArray(value)) { return 'array'; }
+    if (value === null) { return 'null'; }
+    return typeof value;
+};
+
+/**
+ * Returns a check that accepts only the given values.
+ *
+ * @param {...any} values
+ * @returns {function(any): boolean}
+ */
+RUV._oneOf = (...values) => (value) => values.includes(value);
+
+/**
+ * Returns a check that accepts whole numbers from min to max.
+ *
+ * @param {number} min
+ * @param {number} max
+ * @returns {function(any): boolean}
+ */
+RUV._intIn = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Checks of scalar settings beyond their type, keyed by setting name: colours
+ * that go into generated CSS, choices from a fixed list and numeric ranges.
+ * Provider checks apply where providers.js is loaded (the options page).
+ * @type {Object<string, function(any): boolean>}
+ */
+RUV._settingValueChecks = {
+    limit: RUV._intIn(1, 100),
+    after: (v) => Object.prototype.hasOwnProperty.call(RUV.WINDOW_DAYS, v),
+    trendWindow: (v) => Object.prototype.hasOwnProperty.call(RUV.WINDOW_DAYS, v),
+    subColor: RUV.isSafeColor,
+    countColor: RUV.isSafeColor,
+    subTextColor: RUV.isSafeColor,
+    countTextColor: RUV.isSafeColor,
+    maxConcurrentFetches: RUV._intIn(1, 10),
+    preloadMargin: RUV._intIn(0, 5000),
+    cacheDays: RUV._intIn(0, 365),
+    staleMaxDays: RUV._intIn(1, 365),
+    cacheMaxEntries: RUV._intIn(0, 1e6),
+    cacheMaxKB: RUV._intIn(0, 1e6),
+    countBreakdown: RUV._oneOf('total', 'split', 'stacked'),
+    popoverTrigger: RUV._oneOf('click', 'hover'),
+    provider: (v) => !RUV.PROVIDERS || Object.prototype.hasOwnProperty.call(RUV.PROVIDERS, v),
+    providerBaseUrl: (v) => !RUV.isValidProviderUrl || RUV.isValidProviderUrl(v),
+    pillLayout: RUV._oneOf('scroll', 'compact', 'wrap'),
+    compactPills: RUV._intIn(1, 100),
+    countDisplay: RUV._oneOf('raw', 'percent', 'bar'),
+    theme: RUV._oneOf('auto', 'light', 'dark'),
+    mentionLimit: RUV._intIn(1, 500),
+};
+
+/**
+ * Validates an untrusted settings object against RUV.DEFAULTS.
+ * Unknown keys, values whose type differs from the default, values that fail
+ * RUV._settingValueChecks and invalid array items are dropped and reported;
+ * everything else is kept.
+ *
+ * @param {any} raw
+ * @returns {{ settings: Partial<RUVSettings>, errors: Array<string> }}
+ */
+RUV.validateSettings = (raw) => {
+    const errors = [];
+    const settings = {};
+    if (RUV._settingType(raw) !== 'object') {
+        return { settings, errors: ['"settings" is not an object'] };
+    }
+    for (const [key, value] of Object.entries(raw)) {
+        if (!(key in RUV.DEFAULTS)) {
+            errors.push(`Unknown setting "${key}" ignored`);
+            continue;
+        }
+        const expected = RUV._settingType(RUV.DEFAULTS[key]);
+        const actual = RUV._settingType(value);
+        if (expected !== actual || (actual === 'number' && !Number.isFinite(value))) {
+            errors.push(`Setting "${key}" should be ${expected}, got ${actual} — ignored`);
+            continue;
+        }
+        if (RUV._settingValueChecks[key] && !RUV._settingValueChecks[key](value)) {
+            errors.push(`Setting "${key}": invalid value ${JSON.stringify(value)} — ignored`);
+            continue;
+        }
+        const check = RUV._settingItemChecks[key];
+        if (check) {
+            const valid = value.filter(check);
+            if (valid.length !== value.length) {
+                errors.push(`Setting "${key}": ${value.length - valid.length} invalid item(s) dropped`);
+            }
+            settings[key] = valid;
+        } else {
+            settings[key] = value;
+        }
+    }
+    return { settings, errors };
+};
+
+/**
+ * Returns true if entry has the shape of a RUVCacheEntry. Current-version
+ * entries must carry numeric post and comment counts too; older ones, which
+ * are never displayed, need not.
+ *
+ * @param {any} entry
+ * @returns {boolean}
+ */
+RUV.isValidCacheEntry = (entry) => {
+    const split = entry?.v === RUV.CACHE_VERSION;
+    const isActivity = (list) => Array.isArray(list)
+        && list.every((d) => d && typeof d.subreddit === 'string' && Number.isFinite(d.count)
+            && (!split || (Number.isFinite(d.posts) && Number.isFinite(d.comments))));
+    return RUV._settingType(entry) === 'object'
+        && Number.isFinite(entry.fetchedAt)
+        && isActivity(entry.data)
+        && (entry.recent === undefined || (typeof entry.recent?.window === 'string' && isActivity(entry.recent.data)))
+        && (entry.status === undefined || RUV.ENTRY_STATUSES.includes(entry.status));
+};
+
+/**
+ * A backup document as written by the options page export.
+ *
+ * @typedef {object} RUVBackup
+ * @property {string} format      - Always RUV.BACKUP_FORMAT.
+ * @property {number} version     - RUV.BACKUP_VERSION at export time.
+ * @property {string} exportedAt  - ISO timestamp.
+ * @property {RUVSettings} settings
+ * @property {Object<string, RUVCacheEntry>} [users]  Cache entries keyed by username.
+ */
+
+/**
+ * Builds a backup document from the current settings and, optionally, every
+ * cached user.
+ *
+ * @param {boolean} includeCache
+ * @returns {Promise<RUVBackup>}
+ */
+RUV.buildBackup = async (includeCache) => {
+    const backup = {
+        format: RUV.BACKUP_FORMAT,
+        version: RUV.BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings: await RUV.getSettings(),
+    };
+    if (includeCache) {
+        backup.users = {};
+        for (const [key, entry] of Object.entries(await RUV.getAllUserEntries())) {
+            backup.users[key.slice(RUV.STORAGE_KEY_PREFIX.length)] = entry;
+        }
+    }
+    return backup;
+};
+
+/**
+ * Parses and validates a backup document.
+ * `fatal` is set when the document cannot be imported at all; otherwise
+ * `errors` lists the parts that were skipped.
+ *
+ * @param {string} text  Raw file contents.
+ * @returns {{ fatal: boolean, errors: Array<string>, settings: Partial<RUVSettings>|null, users: Object<string, RUVCacheEntry>|null }}
+ */
+RUV.parseBackup = (text) => {
+    const fail = (message) => ({ fatal: true, errors: [message], settings: null, users: null });
+
+    let doc;
+    try { doc = JSON.parse(text); } catch (err) { return fail(`Not valid JSON: ${err.message}`); }
+    if (RUV._settingType(doc) !== 'object') { return fail('Backup is not a JSON object'); }
+    if (doc.format !== RUV.BACKUP_FORMAT) { return fail('Not a Reddit User Vibe backup (missing or wrong "format")'); }
+    if (!Number.isInteger(doc.version) || doc.version > RUV.BACKUP_VERSION) {
+        return fail(`Unsupported backup version ${doc.version}; this build reads up to ${RUV.BACKUP_VERSION}`);
+    }
+
+    const { settings, errors } = 'settings' in doc
+        ? RUV.validateSettings(doc.settings)
+        : { settings: null, errors: [] };
+
+    let users = null;
+    if ('users' in doc) {
+        if (RUV._settingType(doc.users) !== 'object') {
+            errors.push('"users" is not an object — cache not imported');
+        } else {
+            users = {};
+            let invalid = 0;
+            let outdated = 0;
+            for (const [username, entry] of Object.entries(doc.users)) {
+                if (!RUV.USERNAME_RE.test(username) || !RUV.isValidCacheEntry(entry)) {
+                    invalid++;
+                } else if (!RUV.isCurrentEntry(entry) && !entry.pinned) {
+                    // Same rule as RUV.migrateCache: only pins survive a layout change.
+                    outdated++;
+                } else {
+                    users[username] = entry;
+                }
+            }
+            if (invalid > 0) { errors.push(`${invalid} malformed cache entr${invalid === 1 ? 'y' : 'ies'} skipped`); }
+            if (outdated > 0) {
+                errors.push(`${outdated} cache entr${outdated === 1 ? 'y' : 'ies'} from an older version skipped; they will be refetched`);
+            }
+        }
+    }
+
+    if (!settings && !users) { return fail('Backup contains neither settings nor cached users'); }
+    return { fatal: false, errors, settings, users };
+};
+
+/**
+ * Writes a parsed backup to storage.
+ *
+ * In "merge" mode imported settings override current ones key by key, and an
+ * imported user replaces a cached one only if it was fetched more recently,
+ * or the cached one is outdated.
+ * In "replace" mode settings become RUV.DEFAULTS plus the imported values,
+ * and — when the backup includes users — the whole user cache is replaced,
+ * pinned users aside (see RUV.clearAllUserCache).
+ *
+ * @param {{ settings: Partial<RUVSettings>|null, users: Object<string, RUVCacheEntry>|null }} backup
+ * @param {'merge'|'replace'} mode
+ * @returns {Promise<{ settings: boolean, users: number }>}  What was written.
+ */
+RUV.applyBackup = async (backup, mode) => {
+    const result = { settings: false, users: 0 };
+
+    if (backup.settings) {
+        const base = mode === 'replace' ? RUV.DEFAULTS : await RUV.getSettings();
+        await RUV.saveSettings(Object.assign({}, base, backup.settings));
+        result.settings = true;
+    }
+
+    if (backup.users) {
+        const existing = mode === 'replace' ? {} : await RUV.getAllUserEntries();
+        if (mode === 'replace') { await RUV.clearAllUserCache(); }
+        const items = {};
+        for (const [username, entry] of Object.entries(backup.users)) {
+            const key = RUV.STORAGE_KEY_PREFIX + username;
+            const current = existing[key] && RUV.isCurrentEntry(existing[key]);
+            if (current && existing[key].fetchedAt >= entry.fetchedAt) { continue; }
+            items[key] = entry;
+        }
+        await RUV.storageSetMany(items);
+        result.users = Object.keys(items).length;
+    }
+
+    return result;
 };
@@ -2,9 +2,70 @@
  * Reddit User Vibe — UI & DOM Helpers
  * Style injection, split-pill badge creation, and badge insertion logic for
  * both new Reddit (www.reddit.com) and old Reddit (old.reddit.com).
- * Depends on: config.js, api.js (RUV.rateLimitTip)
+ * Depends on: config.js, colors.js, storage.js (RUV.setUserTag, RUV.entryStatus),
+ *             client.js (RUV.rateLimitTip, RUV.refreshUserData, RUV.getUserTimeline),
+ *             adapters.js (RUV.getInsertPoint, RUV.closestComposed; loaded after this file)
  */
 
+/**
+ * Colours of the extension's own UI (tooltip, buttons, loading pill, popover,
+ * timeline) on light and dark pages, exposed to the stylesheet as --ruv-*
+ * custom properties. Pill colours come from the settings instead.
+ *
+ * @type {Object<'light'|'dark', Object<string, string>>}
+ */
+RUV.THEME_PALETTES = {
+    dark: {
+        surface: '#1a1a1b',
+        text: '#d7dadc',
+        muted: '#818384',
+        'muted-text': '#cccccc',
+        border: '#343536',
+        shadow: 'rgba(0,0,0,0.5)',
+        control: 'rgba(120,120,120,0.35)',
+        'control-hover': 'rgba(120,120,120,0.6)',
+        'control-text': '#eeeeee',
+        loading: '#555555',
+        'loading-text': '#cccccc',
+        panel: 'rgba(120,120,120,0.15)',
+        button: '#343536',
+        'button-hover': '#474748',
+        input: '#272729',
+        focus: '#24a0ed',
+    },
+    light: {
+        surface: '#ffffff',
+        text: '#1c1c1c',
+        muted: '#576f76',
+        'muted-text': '#4f5356',
+        border: '#d3d6da',
+        shadow: 'rgba(0,0,0,0.18)',
+        control: 'rgba(0,0,0,0.08)',
+        'control-hover': 'rgba(0,0,0,0.16)',
+        'control-text': '#1c1c1c',
+        loading: '#e4e6e8',
+        'loading-text': '#4f5356',
+        panel: 'rgba(0,0,0,0.04)',
+        button: '#edeff1',
+        'button-hover': '#dadde0',
+        input: '#f6f7f8',
+        focus: '#0079d3',
+    },
+};
+
+/**
+ * Builds one rule per palette, keyed on the data-ruv-theme attribute that
+ * RUV.applyTheme sets on the root element.
+ *
+ * @returns {string}
+ */
+RUV._paletteRules = () => {
+    return Object.entries(RUV.THEME_PALETTES).map(([theme, palette]) => `
+    :root[data-ruv-theme="${theme}"] {
+${Object.entries(palette).map(([name, value]) => `      --ruv-${name}: ${value};`).join('\n')}
+    }`).join('');
+};
+
 /**
  * Builds the CSS text for the extension, using the provided settings for
  * colour values so that user-configured colours are always applied.
@@ -13,7 +74,42 @@
  * @returns {string}
  */
 RUV._buildStyles = (settings) => {
-    return `
+    // Stored colours end up in the page's stylesheet, so only hex colours are used.
+    const setting = (key) => RUV._safeColor(settings[key], RUV.DEFAULTS[key]);
+    const subColor = setting('subColor');
+    const subTextColor = setting('subTextColor');
+    const countColor = setting('countColor');
+    const countTextColor = setting('countTextColor');
+
+    const categoryRules = (settings.categories || []).map((cat, i) => `
+    .ruv-cat-${i} .ruv-pill-sub,
+    .ruv-cat-chip.ruv-cat-${i} {
+      background: ${RUV._safeColor(cat.color, subColor)};
+      color: ${RUV._safeColor(cat.textColor, subTextColor)};
+    }`).join('');
+
+    // Declared before the category rules so that categories win; the
+    // per-subreddit overrides below are more specific and win over both.
+    const derivedRule = settings.colorBySubreddit ? `
+    .ruv-pill .ruv-pill-sub,
+    .ruv-pop-item .ruv-pop-bar-fill {
+      background: var(--ruv-sub-bg);
+      color: var(--ruv-sub-fg);
+    }` : '';
+
+    const overrideRules = (settings.subColors || []).map(({ subreddit, color }) => {
+        const name = RUV.normalizeSubName(subreddit);
+        const background = RUV._safeColor(color, null);
+        if (!/^[a-z0-9_]+$/.test(name) || !background) { return ''; }
+        return `
+    .ruv-pill[data-subreddit="${name}"] .ruv-pill-sub,
+    .ruv-pop-item[data-subreddit="${name}"] .ruv-pop-bar-fill {
+      background: ${background};
+      color: ${RUV.textColorFor(background)};
+    }`;
+    }).join('');
+
+    return `${RUV._paletteRules()}
     .ruv-badge-row {
       display: inline-flex;
       align-items: center;
@@ -39,9 +135,9 @@ RUV._buildStyles = (settings) => {
       display: inline-flex;
       align-items: center;
       justify-content: center;
-      background: rgba(120,120,120,0.35);
+      background: var(--ruv-control);
       border: none;
-      color: #eee;
+      color: var(--ruv-control-text);
       cursor: pointer;
       width: 14px;
       height: 16px;
@@ -53,10 +149,19 @@ RUV._buildStyles = (settings) => {
       opacity: 0.75;
       padding: 0;
     }
-    .ruv-arrow:hover { opacity: 1; background: rgba(120,120,120,0.6); }
+    .ruv-arrow:hover { opacity: 1; background: var(--ruv-control-hover); }
     .ruv-arrow-left { margin-right: 2px; }
     .ruv-arrow-right { margin-left: 2px; }
     .ruv-arrow[hidden] { display: none !important; }
+    .ruv-layout-compact .ruv-pills-scroll,
+    .ruv-layout-wrap .ruv-pills-scroll {
+      flex-wrap: wrap;
+      overflow: visible;
+      row-gap: 3px;
+    }
+    .ruv-layout-compact .ruv-arrow,
+    .ruv-layout-wrap .ruv-arrow { display: none !important; }
+    .ruv-badge-row:not(.ruv-compact-open) .ruv-pill-extra { display: none; }
     .ruv-pill {
       display: inline-flex;
       align-items: stretch;
@@ -74,58 +179,549 @@ RUV._buildStyles = (settings) => {
     }
     .ruv-pill:hover { opacity: 0.85; transform: scale(1.03); }
     .ruv-pill-sub {
-      background: ${settings.subColor};
-      color: ${settings.subTextColor};
+      background: ${subColor};
+      color: ${subTextColor};
       padding: 2px 6px 2px 7px;
       border-radius: 20px 0 0 20px;
     }
     .ruv-pill-count {
-      background: ${settings.countColor};
-      color: ${settings.countTextColor};
+      background: ${countColor};
+      color: ${countTextColor};
       padding: 2px 7px 2px 5px;
       border-radius: 0 20px 20px 0;
       font-weight: 900;
     }
+    .ruv-pill-bar {
+      display: inline-flex;
+      align-items: center;
+    }
+    .ruv-pill-bar-track {
+      display: flex;
+      width: 32px;
+      height: 6px;
+      background: rgba(0,0,0,0.25);
+      border-radius: 3px;
+      overflow: hidden;
+    }
+    .ruv-pill-bar-fill { height: 100%; background: ${countTextColor}; }
+    .ruv-pill-bar-fill + .ruv-pill-bar-fill { opacity: 0.55; }
+    .ruv-trend {
+      margin-left: 3px;
+      font-size: 8px;
+      opacity: 0.9;
+    }
+    .ruv-trend-new { font-weight: 900; letter-spacing: 0.05em; }
+    .ruv-pill-posts { border-radius: 0; padding: 2px 5px; }
+    .ruv-pill-comments {
+      padding-left: 5px;
+      box-shadow: inset 0 0 0 100px rgba(0,0,0,0.22);
+    }
+    .ruv-pill-stack {
+      font-size: 7px;
+      line-height: 1;
+      padding: 1px 7px 1px 5px;
+      text-align: right;
+    }
     .ruv-pill-loading {
-      background: #555;
-      color: #ccc;
+      background: var(--ruv-loading);
+      color: var(--ruv-loading-text);
       padding: 2px 8px;
       border-radius: 20px;
       cursor: pointer;
     }
+    .ruv-pill-state {
+      padding: 1px 7px;
+      border: 1px solid var(--ruv-border);
+      border-radius: 20px;
+      color: var(--ruv-muted-text);
+      font-weight: 400;
+      cursor: default;
+    }
+    .ruv-state-deleted { border-style: dashed; text-decoration: line-through; }
+    .ruv-state-suspended { border-color: #ea0027; color: #ea0027; }
+    .ruv-state-failed {
+      background: var(--ruv-control);
+      color: var(--ruv-control-text);
+      cursor: pointer;
+    }
+    .ruv-state-failed:hover { background: var(--ruv-control-hover); }
+    .ruv-cat-chip {
+      padding: 2px 7px;
+      border-radius: 20px;
+      font-weight: 900;
+      text-transform: uppercase;
+      font-size: 9px;
+    }
+    .ruv-cat-summary {
+      display: inline-flex;
+      gap: 3px;
+      margin-right: 4px;
+      flex-shrink: 0;
+    }
+    .ruv-watch-chip {
+      padding: 2px 7px;
+      border-radius: 20px;
+      font-weight: 900;
+      margin-right: 4px;
+      flex-shrink: 0;
+      color: #1a1a1b;
+    }
+    .ruv-watch-low .ruv-watch-chip { background: #ffd635; }
+    .ruv-watch-medium .ruv-watch-chip { background: #ff8717; }
+    .ruv-watch-high .ruv-watch-chip { background: #ea0027; color: #ffffff; }
+    .ruv-badge-row.ruv-watch-low .ruv-pill-watched { box-shadow: 0 0 0 2px #ffd635; }
+    .ruv-badge-row.ruv-watch-medium .ruv-pill-watched { box-shadow: 0 0 0 2px #ff8717; }
+    .ruv-badge-row.ruv-watch-high .ruv-pill-watched { box-shadow: 0 0 0 2px #ea0027; }
+    .ruv-watch-container.ruv-watch-low { box-shadow: inset 3px 0 0 #ffd635; background-color: rgba(255,214,53,0.06); }
+    .ruv-watch-container.ruv-watch-medium { box-shadow: inset 3px 0 0 #ff8717; background-color: rgba(255,135,23,0.08); }
+    .ruv-watch-container.ruv-watch-high { box-shadow: inset 3px 0 0 #ea0027; background-color: rgba(234,0,39,0.08); }
+    .ruv-hidden-chip {
+      background: var(--ruv-control);
+      color: var(--ruv-muted-text);
+      padding: 2px 7px;
+      border-radius: 20px;
+      font-weight: 400;
+      cursor: default;
+    }
+    .ruv-stale-chip {
+      background: var(--ruv-control);
+      color: var(--ruv-muted-text);
+      padding: 2px 5px;
+      margin-left: 2px;
+      border-radius: 20px;
+      font-weight: 400;
+      flex-shrink: 0;
+      cursor: default;
+    }
+    .ruv-badge-row.ruv-stale .ruv-pills-scroll { opacity: 0.7; }
+    .ruv-more-chip {
+      background: var(--ruv-control);
+      color: var(--ruv-control-text);
+      padding: 2px 7px;
+      border-radius: 20px;
+    }
+    .ruv-tag-pill {
+      padding: 2px 7px;
+      border-radius: 20px;
+      margin-right: 4px;
+      flex-shrink: 0;
+      max-width: 140px;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+    .ruv-info-btn,
+    .ruv-tag-btn,
+    .ruv-expand-btn {
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      background: var(--ruv-control);
+      border: none;
+      color: var(--ruv-control-text);
+      cursor: pointer;
+      width: 16px;
+      height: 16px;
+      margin-left: 3px;
+      padding: 0;
+      font-size: 11px;
+      line-height: 1;
+      border-radius: 50%;
+      flex-shrink: 0;
+      opacity: 0.75;
+    }
+    .ruv-info-btn:hover,
+    .ruv-tag-btn:hover,
+    .ruv-expand-btn:hover { opacity: 1; background: var(--ruv-control-hover); }
+    .ruv-badge-row.ruv-expanded { flex-wrap: wrap; row-gap: 4px; }
+    .ruv-timeline {
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+      flex-basis: 100%;
+      padding: 4px 6px;
+      background: var(--ruv-panel);
+      border-radius: 6px;
+      font-size: 10px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+      cursor: default;
+    }
+    .ruv-spark-item {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    }
+    .ruv-spark-label {
+      width: 110px;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+    .ruv-spark-line { fill: none; stroke: ${countColor}; stroke-width: 1.5; }
+    .ruv-spark-area { fill: ${countColor}; opacity: 0.25; }
+    .ruv-spark-peak { color: var(--ruv-muted); white-space: nowrap; }
+    #ruv-popover {
+      display: none;
+      flex-direction: column;
+      position: fixed;
+      width: 300px;
+      max-height: 360px;
+      background: var(--ruv-surface);
+      color: var(--ruv-text);
+      font-size: 12px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+      line-height: 1.35;
+      text-align: left;
+      border: 1px solid var(--ruv-border);
+      border-radius: 6px;
+      box-shadow: 0 4px 16px var(--ruv-shadow);
+      z-index: 99998;
+    }
+    #ruv-popover.ruv-open { display: flex; }
+    .ruv-pop-header {
+      padding: 8px 10px 2px;
+      font-size: 13px;
+      font-weight: 700;
+    }
+    .ruv-pop-meta {
+      padding: 0 10px 6px;
+      color: var(--ruv-muted);
+      font-size: 11px;
+    }
+    .ruv-pop-list {
+      flex: 1;
+      min-height: 0;
+      overflow-y: auto;
+      padding: 0 10px;
+    }
+    .ruv-pop-item {
+      display: grid;
+      grid-template-columns: minmax(0, 1fr) 80px 74px;
+      align-items: center;
+      gap: 6px;
+      padding: 2px 0;
+    }
+    .ruv-pop-item.ruv-pop-ignored { opacity: 0.5; }
+    .ruv-pop-sub {
+      color: inherit !important;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+    .ruv-pop-bar {
+      height: 6px;
+      background: var(--ruv-control);
+      border-radius: 3px;
+      overflow: hidden;
+    }
+    .ruv-pop-bar-fill { display: block; height: 100%; background: ${subColor}; }
+    .ruv-pop-share {
+      color: var(--ruv-muted);
+      text-align: right;
+      font-variant-numeric: tabular-nums;
+    }
+    .ruv-pop-actions {
+      display: flex;
+      gap: 6px;
+      padding: 8px 10px;
+      border-top: 1px solid var(--ruv-border);
+    }
+    .ruv-pop-btn {
+      flex: 1;
+      background: var(--ruv-button);
+      color: var(--ruv-text);
+      border: none;
+      border-radius: 4px;
+      padding: 4px 8px;
+      font: inherit;
+      cursor: pointer;
+    }
+    .ruv-pop-btn:hover { background: var(--ruv-button-hover); }
+    .ruv-pop-btn:disabled { opacity: 0.6; cursor: default; }
+    .ruv-tag-editor {
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+      padding: 8px 10px 0;
+    }
+    .ruv-tag-editor-line { display: flex; gap: 6px; }
+    .ruv-tag-editor input,
+    .ruv-tag-editor textarea {
+      background: var(--ruv-input);
+      color: var(--ruv-text);
+      border: 1px solid var(--ruv-border);
+      border-radius: 4px;
+      padding: 4px 6px;
+      font: inherit;
+      box-sizing: border-box;
+    }
+    .ruv-tag-editor input[type="text"] { flex: 1; min-width: 0; }
+    .ruv-tag-editor input[type="color"] { width: 32px; padding: 1px; cursor: pointer; }
+    .ruv-tag-editor textarea { resize: vertical; min-height: 48px; }
+    .ruv-tag-editor .ruv-pop-actions { padding: 2px 0 8px; border-top: none; }
     #ruv-floating-tip {
       display: none;
       position: fixed;
-      background: #1a1a1b;
-      color: #d7dadc;
+      background: var(--ruv-surface);
+      color: var(--ruv-text);
       font-size: 11px;
       font-weight: 400;
       padding: 5px 9px;
       border-radius: 4px;
       white-space: nowrap;
       pointer-events: none;
-      box-shadow: 0 2px 10px rgba(0,0,0,0.4);
-      border: 1px solid #343536;
+      box-shadow: 0 2px 10px var(--ruv-shadow);
+      border: 1px solid var(--ruv-border);
       z-index: 99999;
     }
+    .ruv-badge-row .ruv-pill:focus-visible,
+    .ruv-badge-row button:focus-visible {
+      outline: 2px solid var(--ruv-focus);
+      outline-offset: 1px;
+    }
+    .ruv-sr-only {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      overflow: hidden;
+      clip: rect(0 0 0 0);
+      white-space: nowrap;
+    }${derivedRule}${categoryRules}${overrideRules}
   `;
 };
 
 /**
- * Injects or updates the extension's <style> element.
+ * Returns color if it is a plain hex colour, otherwise fallback.
+ * Guards the generated stylesheet against arbitrary CSS in stored settings.
+ *
+ * @param {string} color
+ * @param {string} fallback
+ * @returns {string}
+ */
+RUV._safeColor = (color, fallback) => {
+    return RUV.isSafeColor(color) ? color : fallback;
+};
+
+/**
+ * Tags an element with its subreddit and the colours derived from the name,
+ * as custom properties that the stylesheet uses when colour by subreddit is
+ * on. Tagging every pill lets RUV.injectStyles switch the mode and apply
+ * overrides without re-rendering.
+ *
+ * @param {HTMLElement} el
+ * @param {string}      subreddit
+ * @returns {void}
+ */
+RUV._setSubredditColor = (el, subreddit) => {
+    const background = RUV.subredditColor(subreddit);
+    el.dataset.subreddit = RUV.normalizeSubName(subreddit);
+    el.style.setProperty('--ruv-sub-bg', background);
+    el.style.setProperty('--ruv-sub-fg', RUV.textColorFor(background));
+};
+
+/**
+ * Converts a subreddit pattern into a case-insensitive, fully anchored RegExp.
+ * A leading "r/" or "/r/" is ignored; "*" matches any run of characters and
+ * "?" matches a single character.
+ *
+ * @param {string} pattern  e.g. "AskReddit", "r/*crypto*", "ask?cience".
+ * @returns {RegExp}
+ */
+RUV.subPatternToRegExp = (pattern) => {
+    const body = pattern.trim().replace(/^\/?r\//i, '')
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${body}$`, 'i');
+};
+
+/**
+ * Returns true if subreddit matches any of the given patterns.
+ *
+ * @param {string}        subreddit
+ * @param {Array<string>} patterns
+ * @returns {boolean}
+ */
+RUV.matchesSubPattern = (subreddit, patterns) => {
+    return (patterns || []).some((p) => p.trim() && RUV.subPatternToRegExp(p).test(subreddit));
+};
+
+/**
+ * Finds the first category whose patterns match the subreddit.
+ *
+ * @param {string}             subreddit
+ * @param {Array<RUVCategory>} categories
+ * @returns {{ index: number, name: string }|null}
+ */
+RUV.getCategory = (subreddit, categories) => {
+    const index = (categories || []).findIndex((c) => RUV.matchesSubPattern(subreddit, c.patterns));
+    return index === -1 ? null : { index, name: categories[index].name };
+};
+
+/**
+ * Where the current page sits on Reddit, as matched by site rules.
+ *
+ * @typedef {object} RUVPageContext
+ * @property {'www'|'old'} host
+ * @property {string}      subreddit  - Subreddit the page belongs to, or "" outside subreddits.
+ * @property {'comments'|'listing'|'user'|'inbox'|'other'} pageType
+ */
+
+/**
+ * Works out the host, subreddit and page type of a Reddit URL. The front
+ * page and its sort tabs count as listings; pages such as search or settings
+ * are 'other' and only match rules without a page type.
+ *
+ * @param {string} url
+ * @returns {RUVPageContext}
+ */
+RUV.getPageContext = (url) => {
+    const { hostname, pathname } = new URL(url);
+    const host = hostname.startsWith('old.') ? 'old' : 'www';
+    const parts = pathname.split('/').filter(Boolean);
+    const [first = '', , third = ''] = parts.map((p) => p.toLowerCase());
+
+    if (first === 'r' && parts[1]) {
+        return { host, subreddit: parts[1], pageType: third === 'comments' && parts[3] ? 'comments' : 'listing' };
+    }
+    /** @type {RUVPageContext['pageType']} */
+    let pageType = 'other';
+    if (first === 'comments') {
+        pageType = 'comments';
+    } else if (first === 'user' || first === 'u') {
+        pageType = 'user';
+    } else if (['message', 'notifications', 'inbox'].includes(first)) {
+        pageType = 'inbox';
+    } else if (['', 'best', 'hot', 'new', 'top', 'rising', 'controversial'].includes(first)) {
+        pageType = 'listing';
+    }
+    return { host, subreddit: '', pageType };
+};
+
+/**
+ * Returns true if the site rules leave the extension on for a page: no deny
+ * rule matches it and, if there are allow rules, at least one of them does.
+ *
+ * @param {RUVPageContext}     context
+ * @param {Array<RUVSiteRule>} rules
+ * @returns {boolean}
+ */
+RUV.isEnabledOn = (context, rules) => {
+    const matches = (rule) =>
+        (!rule.host || rule.host === context.host) &&
+        (!rule.pageType || rule.pageType === context.pageType) &&
+        (!rule.subreddit.trim() || (!!context.subreddit && RUV.matchesSubPattern(context.subreddit, [rule.subreddit])));
+    const list = rules || [];
+    if (list.some((rule) => rule.action === 'deny' && matches(rule))) { return false; }
+    const allow = list.filter((rule) => rule.action === 'allow');
+    return allow.length === 0 || allow.some(matches);
+};
+
+/**
+ * Injects or updates the extension's <style> element, in the document and in
+ * every shadow root that holds badge rows.
  * Safe to call multiple times — subsequent calls replace the existing styles.
  *
  * @param {RUVSettings} settings
  * @returns {void}
  */
 RUV.injectStyles = (settings) => {
-    let el = document.getElementById('ruv-styles');
+    RUV._stylesText = RUV._buildStyles(settings);
+    RUV._styleRoots = RUV._styleRoots.filter((root) => root.host.isConnected);
+    for (const root of [document, ...RUV._styleRoots]) { RUV._adoptStyles(root); }
+};
+
+/** @type {string} The stylesheet last built by RUV.injectStyles. */
+RUV._stylesText = '';
+
+/** @type {Array<ShadowRoot>} Shadow roots holding badge rows, which need their own copy of the styles. */
+RUV._styleRoots = [];
+
+/**
+ * Adds the extension's <style> element to the document or a shadow root, or
+ * brings an existing one up to date.
+ *
+ * @param {Document|ShadowRoot} root
+ * @returns {void}
+ */
+RUV._adoptStyles = (root) => {
+    let el = root.getElementById('ruv-styles');
     if (!el) {
         el = document.createElement('style');
         el.id = 'ruv-styles';
-        (document.head || document.documentElement).appendChild(el);
+        (root === document ? document.head || document.documentElement : root).appendChild(el);
+        if (root !== document && !RUV._styleRoots.includes(root)) { RUV._styleRoots.push(root); }
+    }
+    if (el.textContent !== RUV._stylesText) { el.textContent = RUV._stylesText; }
+};
+
+/** @type {string} Media query for the operating system's dark mode. */
+RUV._DARK_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * Works out whether the page is currently light or dark. New Reddit marks
+ * its root element with theme-dark / theme-light, RES's night mode marks old
+ * Reddit's body with res-nightmode; failing those, the page's own background
+ * colour decides, and the system colour scheme is the last resort.
+ *
+ * @returns {'light'|'dark'}
+ */
+RUV.detectTheme = () => {
+    const root = document.documentElement;
+    const body = document.body;
+    if (root.classList.contains('theme-dark') || body?.classList.contains('res-nightmode')) { return 'dark'; }
+    if (root.classList.contains('theme-light')) { return 'light'; }
+
+    for (const el of [body, root]) {
+        if (!el) { continue; }
+        const background = getComputedStyle(el).backgroundColor;
+        // Transparent backgrounds say nothing; a page that wants white text is dark.
+        if ((RUV.parseColor(background)?.a || 0) > 0.5) {
+            return RUV.textColorFor(background) === '#ffffff' ? 'dark' : 'light';
+        }
+    }
+    return matchMedia(RUV._DARK_QUERY).matches ? 'dark' : 'light';
+};
+
+/**
+ * Switches the extension UI to the light or dark palette.
+ *
+ * @param {'auto'|'light'|'dark'} preference  The theme setting; 'auto' follows the page.
+ * @returns {void}
+ */
+RUV.applyTheme = (preference) => {
+    const theme = preference === 'light' || preference === 'dark' ? preference : RUV.detectTheme();
+    if (document.documentElement.dataset.ruvTheme !== theme) {
+        document.documentElement.dataset.ruvTheme = theme;
+    }
+};
+
+/**
+ * Calls onChange whenever the page may have changed theme: a class or style
+ * change on the root element or body, or a change of the system colour scheme.
+ * Only those attributes are watched, so RUV.applyTheme's own attribute does
+ * not retrigger it.
+ *
+ * @param {function(): void} onChange
+ * @returns {void}
+ */
+RUV.watchTheme = (onChange) => {
+    const observer = new MutationObserver(() => onChange());
+    for (const el of [document.documentElement, document.body]) {
+        if (el) { observer.observe(el, { attributes: true, attributeFilter: ['class', 'style'] }); }
     }
-    el.textContent = RUV._buildStyles(settings);
+    matchMedia(RUV._DARK_QUERY).addEventListener('change', () => onChange());
+};
+
+/**
+ * Returns the element an event happened on. Events from inside a shadow root
+ * reach document listeners retargeted to its host, which would hide the
+ * badge rows inserted there.
+ *
+ * @param {Event} e
+ * @returns {EventTarget}
+ */
+RUV._eventTarget = (e) => {
+    return e.composedPath?.()[0] || e.target;
 };
 
 /** @type {HTMLDivElement|null} Lazily created floating tooltip element. */
@@ -141,17 +737,19 @@ RUV.initTooltip = () => {
     if (RUV._floatingTip) { return; }
     const tip = document.createElement('div');
     tip.id = 'ruv-floating-tip';
+    // Screen readers get the same text from the pill's accessible name.
+    tip.setAttribute('aria-hidden', 'true');
     (document.body || document.documentElement).appendChild(tip);
     RUV._floatingTip = tip;
 
     document.addEventListener('mouseover', (e) => {
-        const pill = e.target.closest?.('.ruv-pill');
+        const pill = RUV._eventTarget(e).closest?.('.ruv-pill');
         if (!pill || !pill.dataset.tip) { return; }
         tip.textContent = pill.dataset.tip;
         tip.style.display = 'block';
     });
     document.addEventListener('mouseout', (e) => {
-        if (!e.target.closest?.('.ruv-pill')) { tip.style.display = 'none'; }
+        if (!RUV._eventTarget(e).closest?.('.ruv-pill')) { tip.style.display = 'none'; }
     });
     document.addEventListener('mousemove', (e) => {
         if (tip.style.display === 'none') { return; }
@@ -159,12 +757,28 @@ RUV.initTooltip = () => {
         tip.style.top = `${e.clientY - 32}px`;
     });
 
-    // Always hijack wheel events over any badge row to scroll the pills.
+    // Keyboard focus shows the tooltip below the focused pill.
+    document.addEventListener('focusin', (e) => {
+        const pill = RUV._eventTarget(e).closest?.('.ruv-pill');
+        if (!pill || !pill.dataset.tip) { return; }
+        const rect = pill.getBoundingClientRect();
+        tip.textContent = pill.dataset.tip;
+        tip.style.display = 'block';
+        tip.style.left = `${rect.left}px`;
+        tip.style.top = `${rect.bottom + 6}px`;
+    });
+    document.addEventListener('focusout', (e) => {
+        if (RUV._eventTarget(e).closest?.('.ruv-pill')) { tip.style.display = 'none'; }
+    });
+
+    // Rows rendered with `wheelScroll` take wheel events to scroll their
+    // pills, as long as there is anything to scroll.
     document.addEventListener('wheel', (e) => {
-        const row = e.target.closest?.('.ruv-badge-row');
-        if (!row) { return; }
+        const target = RUV._eventTarget(e);
+        const row = target.closest?.('.ruv-badge-row.ruv-wheel-scroll');
+        if (!row || target.closest('.ruv-timeline')) { return; }
         const scroll = row.querySelector('.ruv-pills-scroll');
-        if (!scroll) { return; }
+        if (!scroll || scroll.scrollWidth <= scroll.clientWidth) { return; }
         e.preventDefault();
         const delta = Math.abs(e.deltaY) >= Math.abs(e.deltaX) ? e.deltaY : e.deltaX;
         scroll.scrollLeft += delta;
@@ -191,21 +805,27 @@ RUV.updateArrows = (row) => {
 
 /**
  * Creates the structural shell of a badge row: a scrollable pill container
- * flanked by left/right arrow buttons.
+ * flanked by left/right arrow buttons. In the compact and wrap layouts the
+ * container wraps instead and the arrows stay hidden.
  * Returns both the outer row element and the inner scroll container so
  * callers can append pills directly into the scroll container.
  *
+ * @param {'scroll'|'compact'|'wrap'} [layout='scroll']
  * @returns {{ row: HTMLSpanElement, scrollEl: HTMLSpanElement }}
  */
-RUV._buildBadgeRow = () => {
+RUV._buildBadgeRow = (layout = 'scroll') => {
     const row = document.createElement('span');
-    row.className = 'ruv-badge-row';
+    row.className = `ruv-badge-row ruv-layout-${layout}`;
+    row.setAttribute('role', 'toolbar');
 
     const leftArrow = document.createElement('button');
     leftArrow.type = 'button';
     leftArrow.className = 'ruv-arrow ruv-arrow-left';
     leftArrow.setAttribute('hidden', '');
     leftArrow.setAttribute('aria-label', 'Scroll pills left');
+    // Mouse-only: arrow keys move through the pills and scroll them into view.
+    leftArrow.setAttribute('aria-hidden', 'true');
+    leftArrow.tabIndex = -1;
     leftArrow.textContent = '\u2039'; // ‹
 
     const scrollEl = document.createElement('span');
@@ -216,6 +836,8 @@ RUV._buildBadgeRow = () => {
     rightArrow.className = 'ruv-arrow ruv-arrow-right';
     rightArrow.setAttribute('hidden', '');
     rightArrow.setAttribute('aria-label', 'Scroll pills right');
+    rightArrow.setAttribute('aria-hidden', 'true');
+    rightArrow.tabIndex = -1;
     rightArrow.textContent = '\u203a'; // ›
 
     leftArrow.addEventListener('click', (e) => {
@@ -249,6 +871,101 @@ RUV._buildBadgeRow = () => {
     return { row, scrollEl };
 };
 
+/** @type {string} Elements of a badge row that arrow keys move between. */
+RUV._ROW_ITEMS = '.ruv-pill, .ruv-expand-btn, .ruv-info-btn, .ruv-tag-btn';
+
+/**
+ * Returns the keyboard-reachable items of a badge row in visual order,
+ * leaving out pills collapsed behind a "+N" chip.
+ *
+ * @param {HTMLSpanElement} row
+ * @returns {Array<HTMLElement>}
+ */
+RUV._rowItems = (row) => {
+    const open = row.classList.contains('ruv-compact-open');
+    return Array.from(row.querySelectorAll(RUV._ROW_ITEMS))
+        .filter((el) => open || !el.classList.contains('ruv-pill-extra'));
+};
+
+/**
+ * Makes item the row's only Tab stop, so that each row is a single stop in
+ * the page's tab order and arrow keys move within it.
+ *
+ * @param {HTMLSpanElement} row
+ * @param {HTMLElement}     item
+ * @returns {void}
+ */
+RUV._setTabStop = (row, item) => {
+    for (const el of row.querySelectorAll(RUV._ROW_ITEMS)) { el.tabIndex = el === item ? 0 : -1; }
+};
+
+/**
+ * Labels a finished or loading badge row for screen readers and makes its
+ * first item the Tab stop.
+ *
+ * @param {HTMLSpanElement} row
+ * @param {string}          username
+ * @returns {void}
+ */
+RUV._initRowFocus = (row, username) => {
+    row.setAttribute('aria-label', `Subreddit activity of u/${username}`);
+    const first = RUV._rowItems(row)[0];
+    if (first) { RUV._setTabStop(row, first); }
+};
+
+/**
+ * Wires up keyboard use of badge rows: Left / Right / Home / End move
+ * between a row's items, scrolling them into view, and Enter (or Space on
+ * buttons) activates pills the way a click does. Escape hides the tooltip.
+ * Called once during initialisation.
+ *
+ * @returns {void}
+ */
+RUV.initKeyboard = () => {
+    document.addEventListener('focusin', (e) => {
+        const target = RUV._eventTarget(e);
+        const row = target.closest?.('.ruv-badge-row');
+        if (row && target.matches(RUV._ROW_ITEMS)) { RUV._setTabStop(row, target); }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && RUV._floatingTip) { RUV._floatingTip.style.display = 'none'; }
+        const target = RUV._eventTarget(e);
+        const row = target.closest?.('.ruv-badge-row');
+        if (!row || !target.matches(RUV._ROW_ITEMS)) { return; }
+        const items = RUV._rowItems(row);
+        const index = items.indexOf(target);
+
+        let next = null;
+        if (e.key === 'ArrowRight') {
+            next = items[Math.min(index + 1, items.length - 1)];
+        } else if (e.key === 'ArrowLeft') {
+            next = items[Math.max(index - 1, 0)];
+        } else if (e.key === 'Home') {
+            next = items[0];
+        } else if (e.key === 'End') {
+            next = items[items.length - 1];
+        } else if (target.tagName !== 'BUTTON' && (e.key === 'Enter'
+            || (e.key === ' ' && target.getAttribute('role') === 'button'))) {
+            e.preventDefault();
+            e.stopPropagation();
+            target.click();
+            return;
+        } else {
+            return;
+        }
+
+        // Keep the page (and site shortcuts) from acting on the key as well.
+        e.preventDefault();
+        e.stopPropagation();
+        if (!next || next === target) { return; }
+        RUV._setTabStop(row, next);
+        next.focus();
+        next.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+        RUV.updateArrows(row);
+    });
+};
+
 /**
  * Builds the URL that a pill should open when clicked.
  * Uses old.reddit URLs when the current page is old.reddit.com,
@@ -266,60 +983,565 @@ RUV._pillClickUrl = (subreddit, username) => {
 };
 
 /**
- * Creates a split-pill badge element for a single subreddit entry.
- * The left half shows the subreddit name, the right half shows the post/comment count.
- * Clicking opens an author-scoped search in a new tab.
+ * Builds the URL of a user's profile page on the current Reddit layout.
  *
- * @param {string} subreddit  Subreddit name (e.g. "DestinyTheGame").
- * @param {number} count      Activity count (posts + comments).
- * @param {string} username   Reddit username, used for the click-through URL.
- * @returns {HTMLSpanElement}
+ * @param {string} username
+ * @returns {string}
  */
-RUV.createPill = (subreddit, count, username) => {
-    const pill = document.createElement('span');
-    pill.className = 'ruv-pill';
-    pill.dataset.tip = `${count} post${count === 1 ? '' : 's'}/comments in r/${subreddit}`;
-
-    const subPart = document.createElement('span');
-    subPart.className = 'ruv-pill-sub';
-    subPart.textContent = subreddit;
-
-    const countPart = document.createElement('span');
-    countPart.className = 'ruv-pill-count';
-    countPart.textContent = String(count);
-
-    pill.appendChild(subPart);
-    pill.appendChild(countPart);
-
-    pill.addEventListener('click', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        window.open(RUV._pillClickUrl(subreddit, username), '_blank');
-    });
+RUV._profileUrl = (username) => {
+    return location.hostname === 'old.reddit.com'
+        ? `https://old.reddit.com/user/${username}`
+        : `https://www.reddit.com/user/${encodeURIComponent(username)}/`;
+};
 
-    return pill;
+/**
+ * Describes a user's activity in one subreddit for tooltips, e.g.
+ * "3 posts, 12 comments in r/rust".
+ *
+ * @param {RUVSubActivity} activity
+ * @returns {string}
+ */
+RUV._activityText = ({ subreddit, count, posts, comments }) => {
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    if (!Number.isFinite(posts)) { return `${plural(count, 'post')}/comments in r/${subreddit}`; }
+    return `${plural(posts, 'post')}, ${plural(comments, 'comment')} in r/${subreddit}`;
 };
 
 /**
- * Creates a grey "loading" placeholder pill that doubles as a rate-limit retry
- * button when the fetch is paused.
+ * Describes a user's activity in one subreddit as an accessible name, e.g.
+ * "r/rust, 42 posts and comments" or "r/rust, 3 posts and 12 comments".
  *
- * @returns {HTMLSpanElement}
+ * @param {RUVSubActivity} activity
+ * @returns {string}
  */
-RUV._createLoadingPill = () => {
+RUV._activityLabel = ({ subreddit, count, posts, comments }) => {
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    if (!Number.isFinite(posts)) { return `r/${subreddit}, ${count} posts and comments`; }
+    return `r/${subreddit}, ${plural(posts, 'post')} and ${plural(comments, 'comment')}`;
+};
+
+/** @type {Object<string, string>} Marker shown after the subreddit name for each trend. */
+RUV.TREND_MARKERS = {
+    rising: '\u25b2', // ▲
+    falling: '\u25bc', // ▼
+    new: 'NEW',
+};
+
+/**
+ * A subreddit's trend, as computed by {@link RUV.getTrends}.
+ *
+ * @typedef {object} RUVTrend
+ * @property {'rising'|'falling'|'new'} trend
+ * @property {number} recent  - Posts plus comments in the recent window.
+ * @property {string} window  - The recent window, e.g. "1month".
+ */
+
+/**
+ * Compares a user's activity in the recent trend window with the full window
+ * and classifies each subreddit. Shares of activity are compared rather than
+ * raw counts, so the result does not depend on how long either window is:
+ * a subreddit is "new" when all of its activity is recent while the user was
+ * active elsewhere before, and "rising" or "falling" when its share of recent
+ * activity is RUV.TREND_RATIO times above or below its share overall.
+ * A subreddit missing from a full recent list may only have dropped below the
+ * fetch limit, so it counts as zero only when that list is short.
+ *
+ * @param {RUVCacheEntry} entry
+ * @param {RUVSettings}   settings
+ * @returns {Map<string, RUVTrend>|null}  Trends by subreddit, or null when trend
+ *   mode is off or the entry holds no data for the current trend window.
+ */
+RUV.getTrends = (entry, settings) => {
+    const recentWindow = RUV.getTrendWindow(settings);
+    if (!recentWindow || entry.recent?.window !== recentWindow) { return null; }
+
+    const recentBySub = new Map(entry.recent.data.map((d) => [d.subreddit, d.count]));
+    const recentComplete = entry.recent.data.length < RUV.getFetchLimit(settings);
+    const total = entry.data.reduce((sum, d) => sum + d.count, 0);
+    const recentTotal = entry.recent.data.reduce((sum, d) => sum + d.count, 0);
+
+    /** @type {Map<string, RUVTrend>} */
+    const trends = new Map();
+    for (const { subreddit, count } of entry.data) {
+        if (!recentBySub.has(subreddit) && !recentComplete) { continue; }
+        const recent = recentBySub.get(subreddit) || 0;
+        if (Math.max(recent, count) < RUV.TREND_MIN_COUNT) { continue; }
+
+        let trend = null;
+        if (recent >= count && total > recentTotal) {
+            trend = 'new';
+        } else {
+            const ratio = (recentTotal > 0 ? recent / recentTotal : 0) / (count / total);
+            if (ratio >= RUV.TREND_RATIO) { trend = 'rising'; }
+            if (ratio <= 1 / RUV.TREND_RATIO) { trend = 'falling'; }
+        }
+        if (trend) { trends.set(subreddit, { trend, recent, window: recentWindow }); }
+    }
+    return trends;
+};
+
+/**
+ * Describes a trend for tooltips, e.g. "rising: 14 in the last 3 months".
+ *
+ * @param {RUVTrend} trend
+ * @returns {string}
+ */
+RUV._trendText = ({ trend, recent, window: recentWindow }) => {
+    const m = /^(\d+)(\D+)$/.exec(recentWindow);
+    const span = !m ? recentWindow : m[1] === '1' ? m[2] : `${m[1]} ${m[2]}s`;
+    return `${trend}: ${recent} in the last ${span}`;
+};
+
+/**
+ * Appends the trend marker for a subreddit to an element showing its name.
+ *
+ * @param {HTMLElement} el
+ * @param {RUVTrend}    trend
+ * @returns {void}
+ */
+RUV._appendTrendMarker = (el, trend) => {
+    const marker = document.createElement('span');
+    marker.className = `ruv-trend ruv-trend-${trend.trend}`;
+    marker.textContent = RUV.TREND_MARKERS[trend.trend];
+    el.appendChild(marker);
+};
+
+/**
+ * How the count part of a pill is drawn: the mode from
+ * `RUVSettings.countDisplay`, the user's total activity that shares are
+ * taken of, and whether raw counts are abbreviated.
+ *
+ * @typedef {object} RUVCountDisplay
+ * @property {'raw'|'percent'|'bar'} mode
+ * @property {number}  total
+ * @property {boolean} humanize
+ */
+
+/**
+ * Creates a pill badge element for a single subreddit entry.
+ * The left part shows the subreddit name; the rest shows the activity count
+ * as set by `breakdown`: one combined count ("total"), separate post and
+ * comment segments ("split", a three-part pill), or both counts stacked in
+ * one segment ("stacked"). With a display in percent mode each number is
+ * replaced by its share of the user's total; in bar mode the count part is a
+ * bar filled to that share, split into posts and comments unless the
+ * breakdown is "total". A trend, if given, adds a rising / falling / new
+ * marker after the name.
+ * Clicking opens an author-scoped search in a new tab.
+ *
+ * @param {RUVSubActivity} activity  Subreddit and its counts.
+ * @param {string} username   Reddit username, used for the click-through URL.
+ * @param {{ index: number, name: string }|null} [category]  Matching category, if any.
+ * @param {'total'|'split'|'stacked'} [breakdown='total']
+ * @param {RUVTrend|null} [trend]
+ * @param {RUVCountDisplay|null} [display]  Defaults to raw, unabbreviated counts.
+ * @returns {HTMLSpanElement}
+ */
+RUV.createPill = (activity, username, category = null, breakdown = 'total', trend = null, display = null) => {
+    const { subreddit, count, posts, comments } = activity;
+    const { mode: displayMode = 'raw', total = 0, humanize = false } = display || {};
+    const share = (n) => (total > 0 ? n / total : 0);
+    // A span with a link role rather than an <a>: the row may sit inside the
+    // author link, and links cannot be nested.
+    const pill = document.createElement('span');
+    pill.className = 'ruv-pill';
+    pill.setAttribute('role', 'link');
+    pill.tabIndex = -1;
+    pill.dataset.tip = RUV._activityText(activity);
+    RUV._setSubredditColor(pill, subreddit);
+    const label = [RUV._activityLabel(activity)];
+    if (total > 0) {
+        pill.dataset.tip += ` \u00b7 ${RUV.formatShare(share(count))} of activity`;
+        label.push(`${RUV.formatShare(share(count))} of activity`);
+    }
+    if (category) {
+        pill.classList.add(`ruv-cat-${category.index}`);
+        pill.dataset.category = category.name;
+        pill.dataset.tip += ` \u00b7 ${category.name}`;
+        label.push(category.name);
+    }
+
+    const subPart = document.createElement('span');
+    subPart.className = 'ruv-pill-sub';
+    subPart.textContent = subreddit;
+    if (trend) {
+        RUV._appendTrendMarker(subPart, trend);
+        pill.dataset.tip += ` \u00b7 ${RUV._trendText(trend)}`;
+        label.push(RUV._trendText(trend));
+    }
+    pill.appendChild(subPart);
+    pill.setAttribute('aria-label', label.join(', '));
+
+    const countPart = (className, text) => {
+        const part = document.createElement('span');
+        part.className = `ruv-pill-count ${className}`.trim();
+        part.textContent = text;
+        pill.appendChild(part);
+        return part;
+    };
+
+    const format = (n) => (displayMode === 'percent' ? RUV.formatShare(share(n)) : RUV.formatCount(n, humanize));
+
+    // Entries without a breakdown (e.g. imported pins awaiting a refetch) fall back to the total.
+    const mode = Number.isFinite(posts) ? breakdown : 'total';
+    if (displayMode === 'bar') {
+        const track = document.createElement('span');
+        track.className = 'ruv-pill-bar-track';
+        for (const n of mode === 'total' ? [count] : [posts, comments]) {
+            const fill = document.createElement('span');
+            fill.className = 'ruv-pill-bar-fill';
+            fill.style.width = `${(share(n) * 100).toFixed(1)}%`;
+            track.appendChild(fill);
+        }
+        countPart('ruv-pill-bar', '').appendChild(track);
+    } else if (mode === 'split') {
+        countPart('ruv-pill-posts', `${format(posts)}p`);
+        countPart('ruv-pill-comments', `${format(comments)}c`);
+    } else if (mode === 'stacked') {
+        const stack = countPart('ruv-pill-stack', '');
+        stack.append(`${format(posts)}p`, document.createElement('br'), `${format(comments)}c`);
+    } else {
+        countPart('', format(count));
+    }
+
+    pill.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        window.open(RUV._pillClickUrl(subreddit, username), '_blank');
+    });
+
+    return pill;
+};
+
+/**
+ * Creates a grey "loading" placeholder pill that doubles as a rate-limit retry
+ * button when the fetch is paused.
+ *
+ * @param {string} username
+ * @returns {HTMLSpanElement}
+ */
+RUV._createLoadingPill = (username) => {
     const pill = document.createElement('span');
     pill.className = 'ruv-pill';
+    pill.setAttribute('role', 'button');
+    pill.tabIndex = -1;
+    pill.dataset.username = username;
     const inner = document.createElement('span');
     inner.className = 'ruv-pill-loading';
     inner.textContent = '…';
     pill.appendChild(inner);
-    pill.dataset.tip = RUV.rateLimitTip();
+    RUV._setLoadingTip(pill);
+    return pill;
+};
+
+/**
+ * Sets the tooltip and accessible name of a loading pill from the current
+ * rate-limit state.
+ *
+ * @param {HTMLSpanElement} pill
+ * @returns {void}
+ */
+RUV._setLoadingTip = (pill) => {
+    const tip = RUV.rateLimitTip();
+    pill.dataset.tip = tip;
+    pill.setAttribute('aria-label', `Activity of u/${pill.dataset.username}: ${tip}`);
+};
+
+/**
+ * Label and tooltip of the pill shown in place of activity, by row state:
+ * a user with no posts or comments in the time period, a deleted or
+ * suspended account, or a lookup that kept failing.
+ * @type {Object<string, { text: string, tip: string }>}
+ */
+RUV.BADGE_STATES = {
+    empty: { text: 'no activity', tip: 'No posts or comments in the selected time period' },
+    deleted: { text: 'deleted', tip: 'Account deleted, or it never existed' },
+    suspended: { text: 'suspended', tip: 'Account suspended by Reddit' },
+    failed: { text: '\u21bb retry', tip: 'Activity could not be loaded (click to retry)' }, // ↻
+};
+
+/**
+ * Creates the pill that stands in for a user's activity when there is none to
+ * show. The failed state's pill is a retry button, handled by content.js.
+ *
+ * @param {'empty'|'deleted'|'suspended'|'failed'} state
+ * @param {string} username
+ * @returns {HTMLSpanElement}
+ */
+RUV._buildStatePill = (state, username) => {
+    const { text, tip } = RUV.BADGE_STATES[state];
+    const pill = document.createElement('span');
+    pill.className = `ruv-pill ruv-pill-state ruv-state-${state}`;
+    pill.dataset.state = state;
+    pill.dataset.username = username;
+    pill.textContent = text;
+    pill.dataset.tip = tip;
+    if (state === 'failed') {
+        pill.setAttribute('role', 'button');
+        pill.tabIndex = -1;
+        pill.setAttribute('aria-label', `Activity of u/${username} could not be loaded. Retry`);
+        return pill;
+    }
+    RUV._makeInfoChip(pill);
+    pill.setAttribute('aria-label', `u/${username}: ${tip}`);
+    return pill;
+};
+
+/** @type {HTMLDivElement|null} Lazily created live region for status announcements. */
+RUV._liveRegion = null;
+
+/**
+ * Announces a status change to screen readers through a shared, visually
+ * hidden live region. Repeating the current message is a no-op, so many rows
+ * entering the same state produce one announcement.
+ *
+ * @param {string} text
+ * @returns {void}
+ */
+RUV.announce = (text) => {
+    if (!RUV._liveRegion) {
+        const region = document.createElement('div');
+        region.className = 'ruv-sr-only';
+        region.setAttribute('role', 'status');
+        region.setAttribute('aria-live', 'polite');
+        (document.body || document.documentElement).appendChild(region);
+        RUV._liveRegion = region;
+    }
+    if (RUV._liveRegion.textContent === text) { return; }
+    RUV._liveRegion.textContent = text;
+};
+
+/**
+ * Makes an informational chip reachable from the keyboard, with its tooltip
+ * as its accessible name.
+ *
+ * @param {HTMLSpanElement} chip  A chip whose tooltip is already set.
+ * @returns {HTMLSpanElement} The same chip.
+ */
+RUV._makeInfoChip = (chip) => {
+    chip.setAttribute('role', 'img');
+    chip.setAttribute('aria-label', chip.dataset.tip);
+    chip.tabIndex = -1;
+    return chip;
+};
+
+/**
+ * Builds the category summary shown at the start of a badge row: one chip per
+ * matched category, ordered by its share of the user's total activity.
+ * Returns null when no subreddit in data belongs to a category.
+ *
+ * @param {Array<{subreddit:string,count:number}>} data
+ * @param {Array<RUVCategory>}                     categories
+ * @returns {HTMLSpanElement|null}
+ */
+RUV._buildCategorySummary = (data, categories) => {
+    const total = data.reduce((sum, d) => sum + d.count, 0);
+    /** @type {Map<number, { name: string, count: number, subs: string[] }>} */
+    const groups = new Map();
+    for (const { subreddit, count } of data) {
+        const cat = RUV.getCategory(subreddit, categories);
+        if (!cat) { continue; }
+        const group = groups.get(cat.index) || { name: cat.name, count: 0, subs: [] };
+        group.count += count;
+        group.subs.push(`r/${subreddit}`);
+        groups.set(cat.index, group);
+    }
+    if (groups.size === 0) { return null; }
+
+    const summary = document.createElement('span');
+    summary.className = 'ruv-cat-summary';
+    const sorted = Array.from(groups.entries()).sort((a, b) => b[1].count - a[1].count);
+    for (const [index, group] of sorted) {
+        const share = total > 0 ? Math.round((group.count / total) * 100) : 0;
+        const chip = document.createElement('span');
+        chip.className = `ruv-pill ruv-cat-chip ruv-cat-${index}`;
+        chip.textContent = `${group.name} ${share}%`;
+        chip.dataset.tip = `${group.name}: ${share}% of activity (${group.subs.join(', ')})`;
+        RUV._makeInfoChip(chip);
+        summary.appendChild(chip);
+    }
+    return summary;
+};
+
+/**
+ * Checks a user's data against the watchlist.
+ * Returns every subreddit that matches a watch entry with a count at or above
+ * its threshold, plus the highest severity among the matches. When several
+ * entries qualify for one subreddit, the one with the highest severity wins.
+ *
+ * @param {Array<{subreddit:string,count:number}>} data
+ * @param {Array<RUVWatchEntry>}                   watchlist
+ * @returns {{ severity: string|null, matches: Array<{subreddit:string,count:number,minCount:number,severity:string}> }}
+ */
+RUV.getWatchMatches = (data, watchlist) => {
+    const rank = (sev) => RUV.WATCH_SEVERITIES.indexOf(sev);
+    const matches = [];
+    for (const { subreddit, count } of data) {
+        const entry = (watchlist || [])
+            .filter((w) => RUV.matchesSubPattern(subreddit, [w.subreddit]) && count >= (w.minCount || 1))
+            .reduce((best, w) => (best === null || rank(w.severity) > rank(best.severity) ? w : best), null);
+        if (entry) { matches.push({ subreddit, count, minCount: entry.minCount || 1, severity: entry.severity }); }
+    }
+    const severity = matches.reduce((max, m) => (max === null || rank(m.severity) > rank(max) ? m.severity : max), null);
+    return { severity, matches };
+};
+
+/**
+ * Returns the comment or post element that contains a link node, on either
+ * Reddit layout, or null if none is found.
+ *
+ * @param {Element} linkNode
+ * @returns {Element|null}
+ */
+RUV._getPostContainer = (linkNode) => {
+    return RUV.closestComposed(linkNode,
+        'shreddit-comment, shreddit-post, .thing, article, [data-testid="comment"], [data-testid="post-container"]');
+};
+
+/**
+ * Adds or clears the watchlist highlight on the container around a link.
+ *
+ * @param {Element}     linkNode
+ * @param {string|null} severity  Severity to mark, or null to clear.
+ * @returns {void}
+ */
+RUV._markWatchContainer = (linkNode, severity) => {
+    const container = RUV._getPostContainer(linkNode);
+    if (!container) { return; }
+    container.classList.remove('ruv-watch-container', ...RUV.WATCH_SEVERITIES.map((s) => `ruv-watch-${s}`));
+    if (severity) { container.classList.add('ruv-watch-container', `ruv-watch-${severity}`); }
+};
+
+/**
+ * Builds the leading warning chip for a watchlist hit, with a tooltip listing
+ * every matched subreddit and its threshold.
+ *
+ * @param {Array<{subreddit:string,count:number,minCount:number}>} matches
+ * @returns {HTMLSpanElement}
+ */
+RUV._buildWatchChip = (matches) => {
+    const chip = document.createElement('span');
+    chip.className = 'ruv-pill ruv-watch-chip';
+    chip.textContent = `\u26a0 ${matches.length}`; // ⚠
+    chip.dataset.tip = `Watched: ${matches.map((m) => `r/${m.subreddit} (${m.count} \u2265 ${m.minCount})`).join(', ')}`;
+    return RUV._makeInfoChip(chip);
+};
+
+/**
+ * Builds the trailing "+N hidden" chip whose tooltip lists the subreddits
+ * removed by the ignore list.
+ *
+ * @param {Array<{subreddit:string,count:number}>} hidden
+ * @returns {HTMLSpanElement}
+ */
+RUV._buildHiddenChip = (hidden) => {
+    const chip = document.createElement('span');
+    chip.className = 'ruv-pill ruv-hidden-chip';
+    chip.textContent = `+${hidden.length} hidden`;
+    chip.dataset.tip = `Ignored: ${hidden.map((d) => `r/${d.subreddit} (${d.count})`).join(', ')}`;
+    return RUV._makeInfoChip(chip);
+};
+
+/**
+ * Creates the chip marking a row whose data has expired and is shown only
+ * until the background refetch of the user lands.
+ *
+ * @param {RUVCacheEntry} entry
+ * @returns {HTMLSpanElement}
+ */
+RUV._buildStaleChip = (entry) => {
+    const chip = document.createElement('span');
+    chip.className = 'ruv-pill ruv-stale-chip';
+    chip.textContent = '\u25f7'; // ◷
+    chip.dataset.tip = `Out of date: fetched ${RUV.formatAge(Date.now() - entry.fetchedAt)} ago, refreshing`;
+    return RUV._makeInfoChip(chip);
+};
+
+/**
+ * Builds the "+N" chip of the compact layout, which shows or hides the pills
+ * past the first few inline. Its tooltip lists the subreddits it stands for.
+ *
+ * @param {HTMLSpanElement}                        row
+ * @param {Array<{subreddit:string,count:number}>} extra  The collapsed pills' activity.
+ * @returns {HTMLSpanElement}
+ */
+RUV._buildMoreChip = (row, extra) => {
+    const chip = document.createElement('span');
+    chip.className = 'ruv-pill ruv-more-chip';
+    chip.setAttribute('role', 'button');
+    chip.setAttribute('aria-expanded', 'false');
+    chip.setAttribute('aria-label', `${extra.length} more subreddit${extra.length === 1 ? '' : 's'}`);
+    chip.tabIndex = -1;
+    chip.textContent = `+${extra.length}`;
+    chip.dataset.tip = `More: ${extra.map((d) => `r/${d.subreddit} (${d.count})`).join(', ')}`;
+    chip.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const open = row.classList.toggle('ruv-compact-open');
+        chip.setAttribute('aria-expanded', String(open));
+        chip.textContent = open ? '\u2039 less' : `+${extra.length}`; // ‹
+    });
+    return chip;
+};
+
+/**
+ * Builds the leading pill for the user's own tag, coloured as chosen, with
+ * the note as its tooltip. Clicking it opens the tag editor; a note without a
+ * tag shows as a ✎ pill.
+ *
+ * @param {RUVUserTag} tag
+ * @param {string}     username
+ * @returns {HTMLSpanElement}
+ */
+RUV._buildTagPill = (tag, username) => {
+    const background = RUV._safeColor(tag.color, RUV.DEFAULT_TAG_COLOR);
+    const pill = document.createElement('span');
+    pill.className = 'ruv-pill ruv-tag-pill';
+    pill.textContent = tag.tag || '\u270e'; // ✎
+    pill.style.background = background;
+    pill.style.color = RUV.textColorFor(background);
+    pill.dataset.tip = tag.note ? `Your note: ${tag.note}` : 'Your tag \u00b7 click to edit';
+    pill.setAttribute('role', 'button');
+    pill.tabIndex = -1;
+    pill.setAttribute('aria-label', [
+        `Your tag for u/${username}: ${tag.tag || 'none'}`,
+        ...(tag.note ? [`note: ${tag.note}`] : []),
+        'edit',
+    ].join(', '));
+    pill.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        RUV.toggleTagEditor(pill.closest('.ruv-badge-row'), username, tag);
+    });
     return pill;
 };
 
+/**
+ * Creates the trailing ✎ button that opens the tag editor for an untagged
+ * user.
+ *
+ * @param {HTMLSpanElement} row
+ * @param {string}          username
+ * @returns {HTMLButtonElement}
+ */
+RUV._buildTagButton = (row, username) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'ruv-tag-btn';
+    btn.setAttribute('aria-label', `Add a tag or note for u/${username}`);
+    btn.textContent = '\u270e'; // ✎
+    btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        RUV.toggleTagEditor(row, username, null);
+    });
+    return btn;
+};
+
 /**
  * Finds the best DOM target to append a badge row into, accounting for the
- * different layouts of new Reddit and old Reddit.
+ * different layouts of new Reddit and old Reddit. The fallback used by
+ * RUV.getInsertPoint when no site adapter has a more specific place.
  *
  * For new Reddit the inner flex div (avatar + username) is preferred so the
  * badges appear on the same line as the username regardless of outer wrapping.
@@ -347,11 +1569,30 @@ RUV._getBadgeRow = (linkNode) => {
     /** @type {string|undefined} */
     const rowId = linkNode.dataset.ruvRowId;
     if (!rowId) { return null; }
-    return document.getElementById(rowId);
+    // Looked up by node rather than by id, as the row may sit in a shadow root
+    const row = RUV._linkRows.get(linkNode);
+    return row?.isConnected && row.id === rowId ? row : null;
+};
+
+/**
+ * Returns the link node a badge row was inserted for, or null.
+ *
+ * @param {HTMLSpanElement} row
+ * @returns {Element|null}
+ */
+RUV.getRowLink = (row) => {
+    return RUV._rowLinks.get(row) || null;
 };
 
+/** @type {WeakMap<Element, HTMLSpanElement>} Link node → its badge row. */
+RUV._linkRows = new WeakMap();
+
+/** @type {WeakMap<HTMLSpanElement, Element>} Badge row → its link node. */
+RUV._rowLinks = new WeakMap();
+
 /**
- * Inserts a badge row into the page relative to the given link node.
+ * Inserts a badge row into the page where the site adapters place it for the
+ * given link node, copying the styles into its shadow root if it lands in one.
  * Records the row's ID on the link's dataset so it can be retrieved later.
  * No-op if a badge row is already registered.
  *
@@ -367,30 +1608,70 @@ RUV._insertBadgeRow = (linkNode, row) => {
     row.id = id;
     linkNode.dataset.ruvRowId = id;
 
-    const { mode, target } = RUV._getBadgeInsertPoint(linkNode);
+    RUV._linkRows.set(linkNode, row);
+    RUV._rowLinks.set(row, linkNode);
+
+    const { mode, target } = RUV.getInsertPoint(linkNode);
     if (mode === 'append') {
         target.appendChild(row);
     } else {
         target.insertAdjacentElement('afterend', row);
     }
+    const root = row.getRootNode();
+    if (root instanceof ShadowRoot) { RUV._adoptStyles(root); }
+};
+
+/**
+ * Removes the badge row of a link, if any, along with the watchlist
+ * highlight it put on the surrounding post or comment. Leaves a popover
+ * anchored to the row open; see {@link RUV.removeLabels}.
+ *
+ * @param {HTMLAnchorElement} linkNode
+ * @returns {HTMLSpanElement|null} The removed row.
+ */
+RUV._detachLabels = (linkNode) => {
+    const row = RUV._getBadgeRow(linkNode);
+    if (row) { row.remove(); }
+    delete linkNode.dataset.ruvRowId;
+    RUV._markWatchContainer(linkNode, null);
+    return row;
 };
 
 /**
- * Inserts a loading placeholder badge next to the link node.
+ * Removes the badge row of a link, if any, along with the watchlist
+ * highlight it put on the surrounding post or comment, and closes the
+ * popover if it was anchored to that row.
+ *
+ * @param {HTMLAnchorElement} linkNode
+ * @returns {void}
+ */
+RUV.removeLabels = (linkNode) => {
+    const row = RUV._detachLabels(linkNode);
+    if (row && RUV._popoverState?.row === row) { RUV.closePopover(); }
+};
+
+/**
+ * Inserts a loading placeholder badge next to the link node, led by the
+ * user's tag if they have one.
  * No-op if a badge row is already present for this link.
  *
  * @param {HTMLAnchorElement} linkNode
+ * @param {string}            username
+ * @param {RUVUserTag|null}   [tag]
  * @returns {void}
  */
-RUV.showLoadingLabel = (linkNode) => {
+RUV.showLoadingLabel = (linkNode, username, tag = null) => {
     if (RUV._getBadgeRow(linkNode)) { return; }
     const { row, scrollEl } = RUV._buildBadgeRow();
-    scrollEl.appendChild(RUV._createLoadingPill());
+    if (tag) { row.insertBefore(RUV._buildTagPill(tag, username), row.firstChild); }
+    scrollEl.appendChild(RUV._createLoadingPill(username));
+    RUV._initRowFocus(row, username);
     RUV._insertBadgeRow(linkNode, row);
 };
 
 /**
- * Updates the tooltip on an existing loading placeholder.
+ * Updates the tooltip on an existing loading placeholder, and announces a
+ * rate-limit pause to screen readers.
  * Gracefully does nothing if there is no loading pill for this link.
  *
  * @param {HTMLAnchorElement} linkNode
@@ -399,50 +1680,645 @@ RUV.showLoadingLabel = (linkNode) => {
 RUV.refreshLoadingTip = (linkNode) => {
     const row = RUV._getBadgeRow(linkNode);
     if (!row) { return; }
-    const pill = row.querySelector('.ruv-pill');
-    if (pill) { pill.dataset.tip = RUV.rateLimitTip(); }
+    const pill = row.querySelector('.ruv-pill-loading')?.parentElement;
+    if (!pill) { return; }
+    RUV._setLoadingTip(pill);
+    if (RUV._rateLimitPauseUntil > Date.now()) { RUV.announce(`Reddit User Vibe: ${pill.dataset.tip}`); }
+};
+
+/**
+ * Cache entry, username, settings and the subreddits shown as pills behind
+ * each finished badge row, read by the details popover and the timeline view.
+ * @type {WeakMap<HTMLSpanElement, { username: string, entry: RUVCacheEntry, settings: RUVSettings, shown: Array<string> }>}
+ */
+RUV._rowEntries = new WeakMap();
+
+/**
+ * Creates the trailing ⓘ button that toggles the details popover for a row.
+ * The row can sit inside the author link, so the click must not navigate.
+ *
+ * @param {HTMLSpanElement} row
+ * @param {string}          username
+ * @returns {HTMLButtonElement}
+ */
+RUV._buildInfoButton = (row, username) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'ruv-info-btn';
+    btn.setAttribute('aria-label', `Show activity details for u/${username}`);
+    btn.setAttribute('aria-haspopup', 'dialog');
+    btn.textContent = '\u24d8'; // ⓘ
+    btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (RUV._popoverState?.row === row && !RUV._popoverState.hover && !RUV._popoverState.editor) {
+            RUV.closePopover();
+        } else {
+            RUV.openPopover(row, false);
+        }
+    });
+    return btn;
+};
+
+/** @type {string} SVG namespace, for building sparklines. */
+RUV._SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Formats a month key such as "2026-03" as "Mar '26".
+ *
+ * @param {string} month
+ * @returns {string}
+ */
+RUV._monthLabel = (month) => {
+    const date = new Date(`${month}-01T00:00:00Z`);
+    const name = date.toLocaleString('en', { month: 'short', timeZone: 'UTC' });
+    return `${name} '${month.slice(2, 4)}`;
+};
+
+/**
+ * Draws monthly counts as a small inline SVG sparkline: a line over a faint
+ * filled area, scaled to the busiest month. Hovering shows every month's
+ * count through the SVG <title>.
+ *
+ * @param {Array<number>} counts  One value per month, oldest first.
+ * @param {Array<string>} months  Matching month keys.
+ * @returns {SVGSVGElement}
+ */
+RUV.buildSparkline = (counts, months) => {
+    const width = 96;
+    const height = 16;
+    const max = Math.max(1, ...counts);
+    const step = (width - 2) / Math.max(1, counts.length - 1);
+    const points = counts.map((n, i) =>
+        `${(1 + i * step).toFixed(1)},${(height - 1 - (n / max) * (height - 2)).toFixed(1)}`);
+
+    const svg = document.createElementNS(RUV._SVG_NS, 'svg');
+    svg.setAttribute('width', String(width));
+    svg.setAttribute('height', String(height));
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.classList.add('ruv-sparkline');
+
+    const title = document.createElementNS(RUV._SVG_NS, 'title');
+    title.textContent = counts.map((n, i) => `${RUV._monthLabel(months[i])}: ${n}`).join('\n');
+
+    const area = document.createElementNS(RUV._SVG_NS, 'polygon');
+    area.setAttribute('class', 'ruv-spark-area');
+    area.setAttribute('points', `1,${height - 1} ${points.join(' ')} ${width - 1},${height - 1}`);
+
+    const line = document.createElementNS(RUV._SVG_NS, 'polyline');
+    line.setAttribute('class', 'ruv-spark-line');
+    line.setAttribute('points', points.join(' '));
+
+    svg.append(title, area, line);
+    return svg;
+};
+
+/**
+ * Fills an expanded row's timeline panel: one line per subreddit with its
+ * name, sparkline and busiest month.
+ *
+ * @param {HTMLSpanElement}  panel
+ * @param {RUVTimelineEntry} timeline
+ * @param {Array<string>}    subreddits
+ * @returns {void}
+ */
+RUV._renderTimeline = (panel, timeline, subreddits) => {
+    panel.textContent = '';
+    for (const sub of subreddits) {
+        const counts = timeline.subs[sub];
+        if (!counts) { continue; }
+        const item = document.createElement('span');
+        item.className = 'ruv-spark-item';
+
+        const label = document.createElement('span');
+        label.className = 'ruv-spark-label';
+        label.textContent = `r/${sub}`;
+
+        const peak = document.createElement('span');
+        peak.className = 'ruv-spark-peak';
+        const top = counts.indexOf(Math.max(...counts));
+        peak.textContent = counts[top] > 0 ? `peak ${RUV._monthLabel(timeline.months[top])} (${counts[top]})` : 'no activity';
+
+        item.append(label, RUV.buildSparkline(counts, timeline.months), peak);
+        panel.appendChild(item);
+    }
+};
+
+/**
+ * Expands a finished badge row into its timeline view, or collapses it.
+ * Timelines of the row's top pills are requested only now, and are cached
+ * apart from the summary entry.
+ *
+ * @param {HTMLSpanElement} row
+ * @returns {Promise<void>}
+ */
+RUV.toggleTimeline = async (row) => {
+    const info = RUV._rowEntries.get(row);
+    const btn = row.querySelector('.ruv-expand-btn');
+    const existing = row.querySelector('.ruv-timeline');
+    if (!info || existing) {
+        existing?.remove();
+        row.classList.remove('ruv-expanded');
+        btn?.setAttribute('aria-expanded', 'false');
+        return;
+    }
+
+    const panel = document.createElement('span');
+    panel.className = 'ruv-timeline';
+    panel.textContent = 'Loading timeline\u2026';
+    // The row can sit inside the author link; clicks here must not navigate.
+    panel.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.target.closest('.ruv-timeline-retry')) {
+            row.querySelector('.ruv-timeline')?.remove();
+            RUV.toggleTimeline(row);
+        }
+    });
+    row.appendChild(panel);
+    row.classList.add('ruv-expanded');
+    btn?.setAttribute('aria-expanded', 'true');
+
+    const subreddits = info.shown.slice(0, RUV.TIMELINE_MAX_SUBS);
+    const timeline = await RUV.getUserTimeline(info.username, subreddits);
+    if (!panel.isConnected) { return; }
+    if (timeline) {
+        RUV._renderTimeline(panel, timeline, subreddits);
+        return;
+    }
+    panel.textContent = 'Timeline unavailable. ';
+    const retry = document.createElement('a');
+    retry.className = 'ruv-timeline-retry';
+    retry.href = '#';
+    retry.textContent = 'Retry';
+    panel.appendChild(retry);
+};
+
+/**
+ * Creates the ▾ button that expands a row into its monthly timeline view.
+ *
+ * @param {HTMLSpanElement} row
+ * @returns {HTMLButtonElement}
+ */
+RUV._buildExpandButton = (row) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'ruv-expand-btn';
+    btn.setAttribute('aria-label', 'Show monthly activity');
+    btn.setAttribute('aria-expanded', 'false');
+    btn.textContent = '\u25be'; // ▾
+    btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        RUV.toggleTimeline(row);
+    });
+    return btn;
 };
 
 /**
  * Replaces the loading placeholder with real split-pill badges, one per
  * subreddit entry sorted by count (highest first, as returned by the API).
- * Silently removes all badges if the data array is empty.
+ * Subreddits on the ignore list are dropped and summarised in a trailing
+ * "+N hidden" chip; the watchlist is still checked against the full data.
+ * In trend mode pills carry rising / falling / new markers. In the compact
+ * layout pills past `compactPills` are collapsed behind a "+N" chip.
+ * The user's own tag leads the row. When the entry holds no data, a state
+ * pill (RUV.BADGE_STATES) says why; a null entry means the fetch gave up and
+ * gets the failed state, whose pill retries. Expired entries shown while
+ * they are refetched get a faded row and a stale chip.
  *
- * @param {HTMLAnchorElement}                   linkNode
- * @param {Array<{subreddit:string,count:number}>} data  API response data.
- * @param {string}                              username
+ * @param {HTMLAnchorElement}  linkNode
+ * @param {RUVCacheEntry|null} entry  Cached entry holding the API response data, or null if the fetch failed.
+ * @param {string}             username
+ * @param {RUVSettings}        settings
+ * @param {RUVUserTag|null}    [tag]
  * @returns {void}
  */
-RUV.appendLabels = (linkNode, data, username) => {
-    const existingRow = RUV._getBadgeRow(linkNode);
-    if (existingRow) {
-        existingRow.remove();
-        delete linkNode.dataset.ruvRowId;
-    }
+RUV.appendLabels = (linkNode, entry, username, settings, tag = null) => {
+    const oldRow = RUV._detachLabels(linkNode);
 
-    if (!data || data.length === 0) { return; }
+    const data = entry?.data || [];
+    const status = entry ? RUV.entryStatus(entry) : 'failed';
 
-    const { row, scrollEl } = RUV._buildBadgeRow();
+    const { row, scrollEl } = RUV._buildBadgeRow(settings.pillLayout);
+    if (settings.pillLayout === 'scroll' && settings.wheelScroll) { row.classList.add('ruv-wheel-scroll'); }
 
-    // API returns data sorted by count descending; preserve that order.
-    for (const { subreddit, count } of data) {
-        scrollEl.appendChild(RUV.createPill(subreddit, count, username));
+    if (data.length > 0) {
+        const ignored = (d) => RUV.matchesSubPattern(d.subreddit, settings.ignoreSubs);
+        const hidden = data.filter(ignored);
+        // The cache may hold more entries than `limit` when over-fetching.
+        const shown = data.filter((d) => !ignored(d)).slice(0, settings.limit);
+        const categories = settings.categories || [];
+
+        const summary = RUV._buildCategorySummary(shown, categories);
+        if (summary) { row.insertBefore(summary, row.firstChild); }
+
+        const watch = RUV.getWatchMatches(data, settings.watchlist);
+        if (watch.severity) {
+            row.classList.add('ruv-watch', `ruv-watch-${watch.severity}`);
+            row.insertBefore(RUV._buildWatchChip(watch.matches), row.firstChild);
+            RUV._markWatchContainer(linkNode, watch.severity);
+        }
+        const watched = new Set(watch.matches.map((m) => m.subreddit));
+        const trends = RUV.getTrends(entry, settings);
+
+        const collapseAt = settings.pillLayout === 'compact' ? settings.compactPills : Infinity;
+        const display = {
+            mode: settings.countDisplay,
+            total: data.reduce((sum, d) => sum + d.count, 0),
+            humanize: settings.humanizeCounts,
+        };
+
+        // API returns data sorted by count descending; preserve that order.
+        shown.forEach((activity, i) => {
+            const category = RUV.getCategory(activity.subreddit, categories);
+            const trend = trends?.get(activity.subreddit) || null;
+            const pill = RUV.createPill(activity, username, category, settings.countBreakdown, trend, display);
+            if (watched.has(activity.subreddit)) { pill.classList.add('ruv-pill-watched'); }
+            if (i >= collapseAt) { pill.classList.add('ruv-pill-extra'); }
+            scrollEl.appendChild(pill);
+        });
+        if (shown.length > collapseAt) { scrollEl.appendChild(RUV._buildMoreChip(row, shown.slice(collapseAt))); }
+        if (hidden.length > 0) { scrollEl.appendChild(RUV._buildHiddenChip(hidden)); }
+
+        row.appendChild(RUV._buildExpandButton(row));
+        row.appendChild(RUV._buildInfoButton(row, username));
+        RUV._rowEntries.set(row, { username, entry, settings, shown: shown.map((d) => d.subreddit) });
+    } else {
+        scrollEl.appendChild(RUV._buildStatePill(status, username));
+    }
+
+    if (entry && RUV.isStaleEntry(entry, settings.cacheDays * 24 * 60 * 60 * 1000)) {
+        row.classList.add('ruv-stale');
+        // After the right arrow, so it stays in view however the pills scroll
+        scrollEl.nextSibling.after(RUV._buildStaleChip(entry));
+    }
+
+    if (tag) {
+        row.insertBefore(RUV._buildTagPill(tag, username), row.firstChild);
+    } else {
+        row.appendChild(RUV._buildTagButton(row, username));
     }
 
+    RUV._initRowFocus(row, username);
     RUV._insertBadgeRow(linkNode, row);
+    if (oldRow && RUV._popoverState?.row === oldRow) { RUV._reanchorPopover(row); }
 
     // Measure overflow after the browser has laid out the row
     requestAnimationFrame(() => RUV.updateArrows(row));
 };
 
+/** @type {HTMLDivElement|null} Lazily created details popover element. */
+RUV._popover = null;
+
+/**
+ * What the open popover is showing: the row it is anchored to, the user and
+ * entry it renders, and whether it was opened by hovering (and so closes when
+ * the pointer leaves). The tag editor reuses the popover with `editor` set and
+ * no entry. Null while closed.
+ * @type {{ row: HTMLSpanElement, username: string, entry?: RUVCacheEntry, settings?: RUVSettings, hover: boolean, editor?: boolean }|null}
+ */
+RUV._popoverState = null;
+
+/** @type {number|undefined} Pending hover open/close timer. */
+RUV._popoverTimer = undefined;
+
 /**
- * Returns true if el's bounding rect intersects the current viewport.
+ * Fills the popover with the user's full subreddit list, each subreddit's
+ * share of the fetched activity as a bar, the fetch time and cache age, and
+ * the refresh / open profile buttons.
  *
- * @param {Element} el
- * @returns {boolean}
+ * @param {string|null} [notice]  Replaces the fetch-time line, e.g. for errors.
+ * @returns {void}
+ */
+RUV._renderPopover = (notice = null) => {
+    const pop = RUV._popover;
+    const { username, entry, settings } = RUV._popoverState;
+    const data = entry.data;
+    const total = data.reduce((sum, d) => sum + d.count, 0);
+    const sum = (field) => data.reduce((n, d) => n + d[field], 0);
+    const trends = RUV.getTrends(entry, settings);
+    const counts = Number.isFinite(data[0]?.posts)
+        ? `${sum('posts')} posts, ${sum('comments')} comments`
+        : `${total} posts/comments`;
+    pop.textContent = '';
+
+    const header = document.createElement('div');
+    header.className = 'ruv-pop-header';
+    header.textContent = `u/${username}`;
+
+    const meta = document.createElement('div');
+    meta.className = 'ruv-pop-meta';
+    meta.textContent = notice || [
+        `Fetched ${new Date(entry.fetchedAt).toLocaleString()} (${RUV.formatAge(Date.now() - entry.fetchedAt)} ago)`,
+        `${counts} in ${data.length} subreddit${data.length === 1 ? '' : 's'}`,
+        ...(entry.pinned ? ['pinned'] : []),
+    ].join(' \u00b7 ');
+
+    const list = document.createElement('div');
+    list.className = 'ruv-pop-list';
+    for (const activity of data) {
+        const { subreddit, count } = activity;
+        const share = total > 0 ? count / total : 0;
+        const item = document.createElement('div');
+        item.className = 'ruv-pop-item';
+        RUV._setSubredditColor(item, subreddit);
+
+        const sub = document.createElement('a');
+        sub.className = 'ruv-pop-sub';
+        sub.href = RUV._pillClickUrl(subreddit, username);
+        sub.target = '_blank';
+        sub.rel = 'noopener';
+        sub.textContent = `r/${subreddit}`;
+        sub.title = RUV._activityText(activity);
+        const trend = trends?.get(subreddit);
+        if (trend) {
+            RUV._appendTrendMarker(sub, trend);
+            sub.title += ` \u00b7 ${RUV._trendText(trend)}`;
+        }
+        if (RUV.matchesSubPattern(subreddit, settings.ignoreSubs)) {
+            item.classList.add('ruv-pop-ignored');
+            sub.title += ' \u00b7 on your ignore list';
+        }
+
+        const bar = document.createElement('span');
+        bar.className = 'ruv-pop-bar';
+        const fill = document.createElement('span');
+        fill.className = 'ruv-pop-bar-fill';
+        fill.style.width = `${(share * 100).toFixed(1)}%`;
+        bar.appendChild(fill);
+
+        const label = document.createElement('span');
+        label.className = 'ruv-pop-share';
+        label.textContent = `${RUV.formatCount(count, settings.humanizeCounts)} \u00b7 ${RUV.formatShare(share)}`;
+
+        item.append(sub, bar, label);
+        list.appendChild(item);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'ruv-pop-actions';
+
+    const refresh = document.createElement('button');
+    refresh.type = 'button';
+    refresh.className = 'ruv-pop-btn';
+    refresh.textContent = 'Refresh';
+    refresh.addEventListener('click', async () => {
+        const state = RUV._popoverState;
+        refresh.disabled = true;
+        refresh.textContent = 'Refreshing\u2026';
+        const fresh = await RUV.refreshUserData(state.username);
+        // The popover may have been closed or moved to another row meanwhile.
+        if (RUV._popoverState !== state) { return; }
+        if (fresh) { state.entry = fresh; }
+        RUV._renderPopover(fresh ? null : `Refresh failed. ${RUV.rateLimitTip()}`);
+    });
+
+    const profile = document.createElement('button');
+    profile.type = 'button';
+    profile.className = 'ruv-pop-btn';
+    profile.textContent = 'Open profile';
+    profile.addEventListener('click', () => window.open(RUV._profileUrl(username), '_blank'));
+
+    actions.append(refresh, profile);
+    pop.append(header, meta, list, actions);
+};
+
+/**
+ * Places the popover below its row, or above it when there is not enough
+ * room, keeping it inside the viewport horizontally.
+ *
+ * @returns {void}
+ */
+RUV._positionPopover = () => {
+    const pop = RUV._popover;
+    const rect = RUV._popoverState.row.getBoundingClientRect();
+    const margin = 8;
+    const left = Math.min(Math.max(rect.left, margin), window.innerWidth - pop.offsetWidth - margin);
+    let top = rect.bottom + 6;
+    if (top + pop.offsetHeight > window.innerHeight - margin) {
+        top = Math.max(margin, rect.top - pop.offsetHeight - 6);
+    }
+    pop.style.left = `${Math.max(margin, left)}px`;
+    pop.style.top = `${top}px`;
+};
+
+/**
+ * Opens the details popover for a finished badge row. The popover lives on
+ * <body> rather than inside the row, so it is positioned the same way whether
+ * the row was appended inside the author link (new Reddit) or inserted after
+ * it (old Reddit).
+ *
+ * @param {HTMLSpanElement} row
+ * @param {boolean}         hover  True when opened by hovering.
+ * @returns {void}
+ */
+RUV.openPopover = (row, hover) => {
+    const info = RUV._rowEntries.get(row);
+    if (!info || !RUV._popover) { return; }
+    clearTimeout(RUV._popoverTimer);
+    RUV._popoverState = Object.assign({ row, hover }, info);
+    RUV._renderPopover();
+    RUV._popover.classList.add('ruv-open');
+    RUV._positionPopover();
+};
+
+/**
+ * Moves the open popover to the row that replaced its own for the same link,
+ * e.g. after a refetch re-rendered it. The details view is re-rendered from
+ * the new row's entry, or closed if the new row has none; the tag editor
+ * keeps what was typed.
+ *
+ * @param {HTMLSpanElement} row
+ * @returns {void}
+ */
+RUV._reanchorPopover = (row) => {
+    const state = RUV._popoverState;
+    state.row = row;
+    if (!state.editor) {
+        const info = RUV._rowEntries.get(row);
+        if (!info) {
+            RUV.closePopover();
+            return;
+        }
+        // Updated in place so a pending Refresh click still finds its popover.
+        Object.assign(state, info);
+        RUV._renderPopover();
+    }
+    RUV._positionPopover();
+};
+
+/**
+ * Closes the details popover, if open.
+ *
+ * @returns {void}
+ */
+RUV.closePopover = () => {
+    clearTimeout(RUV._popoverTimer);
+    if (!RUV._popoverState) { return; }
+    RUV._popoverState = null;
+    RUV._popover.classList.remove('ruv-open');
+    RUV._popover.textContent = '';
+};
+
+/**
+ * Fills the popover with the tag editor form: tag text, colour and note, with
+ * Save, Remove and Cancel buttons. Saving writes the tag to storage; the
+ * content script re-renders the user's rows from the storage change.
+ * Key presses are kept from reaching the page so site shortcuts do not fire
+ * while typing.
+ *
+ * @param {RUVUserTag|null} tag  The existing tag, or null for a new one.
+ * @returns {void}
+ */
+RUV._renderTagEditor = (tag) => {
+    const pop = RUV._popover;
+    const { username } = RUV._popoverState;
+    pop.textContent = '';
+
+    const header = document.createElement('div');
+    header.className = 'ruv-pop-header';
+    header.textContent = `u/${username}`;
+
+    const meta = document.createElement('div');
+    meta.className = 'ruv-pop-meta';
+    meta.textContent = tag
+        ? `Tagged ${new Date(tag.updatedAt).toLocaleString()} \u00b7 only stored in this browser`
+        : 'Tags and notes are only stored in this browser';
+
+    const form = document.createElement('form');
+    form.className = 'ruv-tag-editor';
+
+    const line = document.createElement('div');
+    line.className = 'ruv-tag-editor-line';
+    const text = document.createElement('input');
+    text.type = 'text';
+    text.maxLength = 40;
+    text.placeholder = 'Tag, e.g. helpful';
+    text.value = tag?.tag || '';
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.value = RUV._safeColor(tag?.color, RUV.DEFAULT_TAG_COLOR);
+    color.title = 'Tag colour';
+    line.append(text, color);
+
+    const note = document.createElement('textarea');
+    note.maxLength = 500;
+    note.rows = 3;
+    note.placeholder = 'Private note';
+    note.value = tag?.note || '';
+
+    const actions = document.createElement('div');
+    actions.className = 'ruv-pop-actions';
+    const button = (label, type = 'button') => {
+        const btn = document.createElement('button');
+        btn.type = type;
+        btn.className = 'ruv-pop-btn';
+        btn.textContent = label;
+        actions.appendChild(btn);
+        return btn;
+    };
+    const save = button('Save', 'submit');
+    if (tag) {
+        button('Remove').addEventListener('click', async () => {
+            await RUV.setUserTag(username, { tag: '', color: '', note: '' });
+            RUV.closePopover();
+        });
+    }
+    button('Cancel').addEventListener('click', RUV.closePopover);
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        save.disabled = true;
+        await RUV.setUserTag(username, { tag: text.value, color: color.value, note: note.value });
+        RUV.closePopover();
+    });
+    form.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') { RUV.closePopover(); }
+    });
+
+    form.append(line, note, actions);
+    pop.append(header, meta, form);
+};
+
+/**
+ * Opens the tag editor for a row's user, or closes it if it is already open
+ * for that row.
+ *
+ * @param {HTMLSpanElement}  row
+ * @param {string}           username
+ * @param {RUVUserTag|null}  tag
+ * @returns {void}
  */
-RUV.isVisible = (el) => {
-    const r = el.getBoundingClientRect();
-    return r.bottom > 0 && r.top < window.innerHeight
-        && r.right > 0 && r.left < window.innerWidth;
+RUV.toggleTagEditor = (row, username, tag) => {
+    if (!row || !RUV._popover) { return; }
+    if (RUV._popoverState?.row === row && RUV._popoverState.editor) {
+        RUV.closePopover();
+        return;
+    }
+    clearTimeout(RUV._popoverTimer);
+    RUV._popoverState = { row, username, hover: false, editor: true };
+    RUV._renderTagEditor(tag);
+    RUV._popover.classList.add('ruv-open');
+    RUV._positionPopover();
+    RUV._popover.querySelector('input')?.focus();
+};
+
+/**
+ * Creates the popover element and wires up the listeners that open it on
+ * hover (for rows rendered with `popoverTrigger: 'hover'`) and close it on
+ * an outside click, Escape, scrolling or resizing.
+ * Called once during initialisation.
+ *
+ * @returns {void}
+ */
+RUV.initPopover = () => {
+    if (RUV._popover) { return; }
+    const pop = document.createElement('div');
+    pop.id = 'ruv-popover';
+    pop.setAttribute('role', 'dialog');
+    (document.body || document.documentElement).appendChild(pop);
+    RUV._popover = pop;
+
+    document.addEventListener('mouseover', (e) => {
+        const state = RUV._popoverState;
+        const target = RUV._eventTarget(e);
+        const row = target.closest?.('.ruv-badge-row');
+        if (target.closest?.('#ruv-popover') || (row && row === state?.row)) {
+            // Back over the open popover or its row: keep it open.
+            if (state?.hover) { clearTimeout(RUV._popoverTimer); }
+            return;
+        }
+        if (!row || RUV._rowEntries.get(row)?.settings.popoverTrigger !== 'hover') { return; }
+        if (state && !state.hover) { return; }
+        clearTimeout(RUV._popoverTimer);
+        RUV._popoverTimer = setTimeout(() => RUV.openPopover(row, true), RUV.POPOVER_HOVER_DELAY_MS);
+    });
+    document.addEventListener('mouseout', (e) => {
+        const from = RUV._eventTarget(e).closest?.('.ruv-badge-row, #ruv-popover');
+        if (!from) { return; }
+        const to = e.relatedTarget?.closest?.('.ruv-badge-row, #ruv-popover');
+        if (to === from) { return; }
+        if (!RUV._popoverState) {
+            clearTimeout(RUV._popoverTimer);
+        } else if (RUV._popoverState.hover) {
+            clearTimeout(RUV._popoverTimer);
+            RUV._popoverTimer = setTimeout(RUV.closePopover, RUV.POPOVER_HOVER_DELAY_MS);
+        }
+    });
+
+    document.addEventListener('mousedown', (e) => {
+        if (!RUV._popoverState) { return; }
+        if (RUV._eventTarget(e).closest?.('#ruv-popover, .ruv-info-btn, .ruv-tag-btn, .ruv-tag-pill')) { return; }
+        RUV.closePopover();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') { RUV.closePopover(); }
+    });
+    document.addEventListener('scroll', (e) => {
+        if (!RUV._popoverState || RUV._eventTarget(e).closest?.('#ruv-popover, .ruv-badge-row')) { return; }
+        RUV.closePopover();
+    }, { capture: true, passive: true });
+    window.addEventListener('resize', RUV.closePopover);
 };